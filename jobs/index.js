@@ -0,0 +1,54 @@
+const Product = require('../models/Product');
+const { releaseExpiredReservations } = require('../utils/stock');
+const { expireCertifications, sendExpiryReminders } = require('../utils/certifications');
+const { checkPriceAlerts } = require('../utils/priceAlerts');
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  {
+    name: 'release-expired-reservations',
+    intervalMs: 60 * 1000,
+    run: releaseExpiredReservations
+  },
+  {
+    name: 'expire-products',
+    intervalMs: 5 * 60 * 1000,
+    run: () => Product.expireProducts()
+  },
+  {
+    name: 'expire-certifications',
+    intervalMs: 60 * 60 * 1000,
+    run: expireCertifications
+  },
+  {
+    name: 'certificate-expiry-reminders',
+    intervalMs: 60 * 60 * 1000,
+    run: sendExpiryReminders
+  },
+  {
+    name: 'price-alerts',
+    intervalMs: 10 * 60 * 1000,
+    run: checkPriceAlerts
+  }
+];
+
+const runJob = async job => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.run();
+  } catch (err) {
+    console.error(`Job ${job.name} failed:`, err.message);
+  } finally {
+    job.running = false;
+  }
+};
+
+exports.startJobs = () => {
+  if (process.env.JOBS_DISABLED === 'true') return;
+
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+  }
+};
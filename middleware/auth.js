@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 exports.protect = async (req, res, next) => {
   try {
@@ -15,7 +16,24 @@ exports.protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+
+      // Access tokens are bound to a session that may have been revoked
+      const session = decoded.sid && await Session.findById(decoded.sid);
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return res.status(401).json({ message: 'Session has expired or been revoked' });
+      }
+
+      const user = await User.findById(decoded.id).select('-password');
+      if (!user || user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({ message: 'Not authorized to access this route' });
+      }
+
+      if (user.status === 'suspended') {
+        return res.status(403).json({ message: 'Your account has been suspended' });
+      }
+
+      req.user = user;
+      req.authSession = session;
       next();
     } catch (err) {
       return res.status(401).json({ message: 'Not authorized to access this route' });
@@ -27,11 +45,21 @@ exports.protect = async (req, res, next) => {
 
 exports.authorize = (...roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!roles.some(role => req.user.hasRole(role))) {
       return res.status(403).json({
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
     next();
   };
-}; 
\ No newline at end of file
+};
+
+// Only let accounts with a verified email address or phone number through
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address or phone number to access this route'
+    });
+  }
+  next();
+};
@@ -0,0 +1,129 @@
+// Central ownership rules for every resource. authorize() in ./auth decides
+// which roles may reach a route; these policies decide which documents a
+// user may act on once they are there.
+
+// Compare ids that may be ObjectIds, strings or populated documents
+const idOf = value => (value && value._id ? value._id : value);
+const sameId = (a, b) => !!a && !!b && idOf(a).toString() === idOf(b).toString();
+
+const isAdmin = user => user.hasRole('admin');
+
+const sellsInOrder = (user, order) => order.items.some(item => sameId(item.farmer, user._id));
+
+const ownedBy = field => (user, doc) => sameId(doc[field], user._id);
+
+const policies = {
+  Product: {
+    read: () => true,
+    update: ownedBy('farmer'),
+    delete: ownedBy('farmer'),
+    scope: user => ({ farmer: user._id })
+  },
+  Order: {
+    read: (user, order) => isAdmin(user) || sameId(order.consumer, user._id) || sellsInOrder(user, order),
+    update: (user, order) => isAdmin(user) || sellsInOrder(user, order),
+    delete: user => isAdmin(user),
+    // Accounts that both buy and sell see their purchases and their sales
+    scope: user => {
+      if (isAdmin(user)) return {};
+      const clauses = [{ consumer: user._id }];
+      if (user.hasRole('farmer')) clauses.push({ 'items.farmer': user._id });
+      return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    }
+  },
+  Cart: {
+    read: ownedBy('user'),
+    update: ownedBy('user'),
+    delete: ownedBy('user'),
+    scope: user => ({ user: user._id })
+  },
+  Wishlist: {
+    read: ownedBy('user'),
+    update: ownedBy('user'),
+    delete: ownedBy('user'),
+    scope: user => ({ user: user._id })
+  },
+  Notification: {
+    read: ownedBy('user'),
+    update: ownedBy('user'),
+    delete: ownedBy('user'),
+    scope: user => ({ user: user._id })
+  },
+  ForumPost: {
+    read: () => true,
+    update: ownedBy('author'),
+    delete: (user, post) => isAdmin(user) || sameId(post.author, user._id),
+    scope: () => ({})
+  },
+  // Comments live inside a post: doc is { post, comment }
+  ForumComment: {
+    read: () => true,
+    update: (user, { comment }) => sameId(comment.author, user._id),
+    delete: (user, { post, comment }) => (
+      isAdmin(user) || sameId(comment.author, user._id) || sameId(post.author, user._id)
+    ),
+    scope: () => ({})
+  },
+  Review: {
+    read: () => true,
+    update: ownedBy('user'),
+    delete: (user, review) => isAdmin(user) || sameId(review.user, user._id),
+    scope: user => ({ user: user._id })
+  },
+  PriceAlert: {
+    read: ownedBy('user'),
+    update: ownedBy('user'),
+    delete: ownedBy('user'),
+    scope: user => ({ user: user._id })
+  },
+  // KYC requests and certificates carry the farmer's private documents
+  VerificationRequest: {
+    read: (user, request) => isAdmin(user) || sameId(request.farmer, user._id),
+    update: user => isAdmin(user),
+    delete: user => isAdmin(user),
+    scope: user => ({ farmer: user._id })
+  },
+  Certification: {
+    read: (user, certification) => isAdmin(user) || sameId(certification.farmer, user._id),
+    update: user => isAdmin(user),
+    delete: (user, certification) => isAdmin(user) || sameId(certification.farmer, user._id),
+    scope: user => ({ farmer: user._id })
+  },
+  Prediction: {
+    read: (user, prediction) => isAdmin(user) || sameId(prediction.farmerId, user._id),
+    update: ownedBy('farmerId'),
+    delete: (user, prediction) => isAdmin(user) || sameId(prediction.farmerId, user._id),
+    scope: user => ({ farmerId: user._id })
+  },
+  YieldPrediction: {
+    read: (user, prediction) => isAdmin(user) || sameId(prediction.farmerId, user._id),
+    update: ownedBy('farmerId'),
+    delete: (user, prediction) => isAdmin(user) || sameId(prediction.farmerId, user._id),
+    scope: user => ({ farmerId: user._id })
+  }
+};
+
+const policyFor = resource => {
+  const policy = policies[resource];
+  if (!policy) {
+    throw new Error(`No policy defined for ${resource}`);
+  }
+  return policy;
+};
+
+// Whether the user may perform action ('read' | 'update' | 'delete') on doc
+exports.can = (user, action, resource, doc) => {
+  const rule = policyFor(resource)[action];
+  return !!user && !!rule && !!rule(user, doc);
+};
+
+// Query filter restricting a list to the documents the user may read
+exports.scope = (user, resource) => policyFor(resource).scope(user);
+
+// Uniform response when a policy check fails
+exports.deny = res => {
+  return res.status(403).json({ message: 'Not authorized to access this resource' });
+};
+
+exports.sameId = sameId;
+exports.policies = policies;
@@ -0,0 +1,131 @@
+const { check, body } = require('express-validator');
+const Product = require('../models/Product');
+
+const CATEGORIES = ['vegetables', 'fruits', 'grains', 'dairy', 'other'];
+
+// Multipart requests carry nested data as JSON strings
+const parseJsonField = value => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+// Validate bulk price breaks: [{ minQuantity, price }]
+const validatePriceTiers = (tiers, label = 'Price tiers') => {
+  if (!Array.isArray(tiers) || tiers.length > 10) {
+    throw new Error(`${label} must be a list of at most 10 tiers`);
+  }
+
+  const seen = new Set();
+  tiers.forEach(tier => {
+    if (!tier || !Number.isInteger(Number(tier.minQuantity)) || Number(tier.minQuantity) < 1) {
+      throw new Error(`${label}: minimum quantity must be a whole number of at least 1`);
+    }
+    if (!(Number(tier.price) >= 0)) {
+      throw new Error(`${label}: price must be a number`);
+    }
+    if (seen.has(Number(tier.minQuantity))) {
+      throw new Error(`${label} must have different minimum quantities`);
+    }
+    seen.add(Number(tier.minQuantity));
+  });
+
+  return true;
+};
+
+// Validate expiry markdowns: [{ hoursBeforeExpiry, percentOff }]
+const validateMarkdownRules = rules => {
+  if (!Array.isArray(rules) || rules.length > 5) {
+    throw new Error('Markdown rules must be a list of at most 5 rules');
+  }
+
+  rules.forEach(rule => {
+    if (!rule || !(Number(rule.hoursBeforeExpiry) >= 1)) {
+      throw new Error('Markdown rules: hours before expiry must be at least 1');
+    }
+    if (!(Number(rule.percentOff) >= 1 && Number(rule.percentOff) <= 90)) {
+      throw new Error('Markdown rules: percent off must be between 1 and 90');
+    }
+  });
+
+  return true;
+};
+
+// Validate the variants (pack sizes) of a product
+const validateVariants = variants => {
+  if (!Array.isArray(variants) || variants.length === 0 || variants.length > 20) {
+    throw new Error('Variants must be a list of 1 to 20 pack sizes');
+  }
+
+  variants.forEach((variant, index) => {
+    const position = `Variant ${index + 1}`;
+    if (!variant || typeof variant !== 'object') {
+      throw new Error(`${position} is invalid`);
+    }
+    if (!variant._id && (!variant.label || !String(variant.label).trim())) {
+      throw new Error(`${position}: label is required`);
+    }
+    if (variant.size !== undefined && !(Number(variant.size) > 0)) {
+      throw new Error(`${position}: size must be a positive number`);
+    }
+    if (!variant._id && variant.size === undefined) {
+      throw new Error(`${position}: size is required`);
+    }
+    if ((variant.unit !== undefined || !variant._id) && !Product.UNITS.includes(variant.unit)) {
+      throw new Error(`${position}: unit must be one of ${Product.UNITS.join(', ')}`);
+    }
+    if ((variant.price !== undefined || !variant._id) && !(Number(variant.price) >= 0)) {
+      throw new Error(`${position}: price must be a number`);
+    }
+    if ((variant.quantity !== undefined || !variant._id) && !(Number(variant.quantity) >= 0)) {
+      throw new Error(`${position}: quantity must be a number`);
+    }
+    if (variant.priceTiers !== undefined) {
+      validatePriceTiers(variant.priceTiers, `${position}: price tiers`);
+    }
+  });
+
+  return true;
+};
+
+// Rules for a new listing (POST /api/products and each spreadsheet import row)
+exports.createRules = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('description', 'Description is required').not().isEmpty(),
+  check('category', 'Category is required').isIn(CATEGORIES),
+  check('sku', 'SKU must be at most 64 characters').optional().trim().isLength({ min: 1, max: 64 }),
+  check('variants').optional().customSanitizer(parseJsonField).custom(validateVariants),
+  check('price', 'Price is required').if(body('variants').not().exists()).isNumeric(),
+  check('unit', 'Unit is required').if(body('variants').not().exists()).isIn(Product.UNITS),
+  check('quantity', 'Quantity is required').if(body('variants').not().exists()).isNumeric(),
+  check('priceTiers').optional().customSanitizer(parseJsonField).custom(tiers => validatePriceTiers(tiers)),
+  check('minOrderQuantity', 'Minimum order quantity must be at least 1').optional().isInt({ min: 1 }),
+  check('harvestDate', 'Harvest date is required').not().isEmpty(),
+  check('harvestDate', 'Invalid harvest date').optional({ values: 'falsy' }).isISO8601(),
+  check('expiryDate', 'Invalid expiry date').optional().isISO8601(),
+  check('markdownRules').optional().customSanitizer(parseJsonField).custom(validateMarkdownRules),
+  check('organic', 'Organic must be true or false').optional().isBoolean().toBoolean()
+];
+
+// Rules for editing a listing (PUT /api/products/:id)
+exports.updateRules = [
+  check('name', 'Name is required').optional().not().isEmpty(),
+  check('description', 'Description is required').optional().not().isEmpty(),
+  check('category', 'Invalid category').optional().isIn(CATEGORIES),
+  check('sku', 'SKU must be at most 64 characters').optional().trim().isLength({ min: 1, max: 64 }),
+  check('price', 'Price must be a number').optional().isNumeric(),
+  check('unit', 'Invalid unit').optional().isIn(Product.UNITS),
+  check('quantity', 'Quantity must be a number').optional().isNumeric(),
+  check('harvestDate', 'Invalid harvest date').optional().isISO8601(),
+  check('expiryDate', 'Invalid expiry date').optional().isISO8601(),
+  check('markdownRules').optional().customSanitizer(parseJsonField).custom(validateMarkdownRules),
+  check('organic', 'Organic must be true or false').optional().isBoolean().toBoolean(),
+  check('priceTiers').optional().customSanitizer(parseJsonField).custom(tiers => validatePriceTiers(tiers)),
+  check('minOrderQuantity', 'Minimum order quantity must be at least 1').optional().isInt({ min: 1 }),
+  check('variants').optional().customSanitizer(parseJsonField).custom(validateVariants)
+];
+
+exports.CATEGORIES = CATEGORIES;
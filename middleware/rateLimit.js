@@ -0,0 +1,111 @@
+// Fixed-window rate limiting with pluggable storage.
+//
+// A store must implement:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+// The default MemoryStore is per-process; plug in a shared store (e.g. Redis)
+// with setStore() when running several instances.
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Sweep expired windows so the map does not grow without bound
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+// Per-route policies. keyBy is 'ip', 'user' (requires protect to run first)
+// or 'ip+user' to count both independently.
+const policies = {
+  auth: { windowMs: 15 * 60 * 1000, max: 20, keyBy: 'ip' },
+  otp: { windowMs: 60 * 60 * 1000, max: 10, keyBy: 'ip' },
+  predictions: { windowMs: 60 * 60 * 1000, max: 30, keyBy: 'ip+user' },
+  forumWrite: { windowMs: 10 * 60 * 1000, max: 20, keyBy: 'ip+user' },
+  reviewWrite: { windowMs: 10 * 60 * 1000, max: 20, keyBy: 'ip+user' },
+  // Each export gathers everything stored about the account
+  export: { windowMs: 60 * 60 * 1000, max: 5, keyBy: 'user' },
+  write: { windowMs: 60 * 1000, max: 60, keyBy: 'ip' }
+};
+
+exports.MemoryStore = MemoryStore;
+exports.policies = policies;
+
+exports.setStore = newStore => {
+  store = newStore;
+};
+
+exports.getStore = () => store;
+
+// Build a limiter from a named policy, optionally overriding its settings
+exports.rateLimit = (policyName, overrides = {}) => {
+  const policy = { ...policies[policyName], ...overrides };
+
+  if (!policy.windowMs || !policy.max) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === 'true' || (policy.skip && policy.skip(req))) {
+      return next();
+    }
+
+    try {
+      const keys = [];
+      if (policy.keyBy.includes('ip')) keys.push(`${policyName}:ip:${req.ip}`);
+      if (policy.keyBy.includes('user') && req.user) keys.push(`${policyName}:user:${req.user.id}`);
+
+      let tightest = null;
+      for (const key of keys) {
+        const result = await store.increment(key, policy.windowMs);
+        if (!tightest || result.count > tightest.count) tightest = result;
+      }
+
+      if (!tightest) return next();
+
+      const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+      res.set('RateLimit-Limit', String(policy.max));
+      res.set('RateLimit-Remaining', String(Math.max(0, policy.max - tightest.count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (tightest.count > policy.max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          message: 'Too many requests, please try again later',
+          retryAfter: resetSeconds
+        });
+      }
+
+      next();
+    } catch (err) {
+      // Never lock users out because the limiter store is unavailable
+      console.error('Rate limiter error:', err.message);
+      next();
+    }
+  };
+};
@@ -7,6 +7,10 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Pack size chosen, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   quantity: {
     type: Number,
     required: true,
@@ -26,28 +30,44 @@ const cartSchema = new mongoose.Schema({
   total: {
     type: Number,
     default: 0
-  }
+  },
+  // Why items were taken out of the cart (e.g. the listing was archived);
+  // shown with the cart once and then cleared
+  notices: [{
+    message: String,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { timestamps: true });
 
 // Pre-save middleware to calculate total
 cartSchema.pre('save', async function(next) {
   try {
     if (this.isModified('items')) {
-      // Calculate total by summing up the price * quantity for each item
-      const populatedCart = await mongoose.model('Cart')
-        .findOne({ _id: this._id })
-        .populate('items.product', 'price');
-        
-      if (populatedCart && populatedCart.items && populatedCart.items.length > 0) {
-        this.total = populatedCart.items.reduce((sum, item) => {
-          if (item.product && item.product.price) {
-            return sum + (item.product.price * item.quantity);
-          }
-          return sum;
-        }, 0);
-      } else {
-        this.total = 0;
-      }
+      // Calculate total from the current items, using the chosen variant's
+      // price, any bulk price tier the quantity reaches and expiry markdowns
+      const productIds = this.items
+        .filter(item => item.product)
+        .map(item => item.product._id || item.product);
+      const products = await mongoose.model('Product')
+        .find({ _id: { $in: productIds } })
+        .select('price priceTiers variants expiryDate markdownRules');
+      const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+      this.total = this.items.reduce((sum, item) => {
+        if (!item.product) return sum;
+        const product = productsById.get((item.product._id || item.product).toString());
+        if (!product) return sum;
+
+        const price = product.unitPrice(item.quantity, item.variant);
+        return price ? sum + (price * item.quantity) : sum;
+      }, 0);
     }
     next();
   } catch (error) {
@@ -61,4 +81,18 @@ cartSchema.methods.removeItem = function(itemId) {
   return this.save();
 };
 
+// Take a product out of every cart it is in, leaving the shopper a notice.
+// Stock holds are released separately (see utils/stock.js releaseProduct).
+cartSchema.statics.purgeProduct = async function(product, message) {
+  const carts = await this.find({ 'items.product': product._id });
+
+  for (const cart of carts) {
+    cart.items = cart.items.filter(item => !item.product.equals(product._id));
+    cart.notices.push({ message, product: product._id });
+    await cart.save();
+  }
+
+  return carts.length;
+};
+
 module.exports = mongoose.model('Cart', cartSchema); 
\ No newline at end of file
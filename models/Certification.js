@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A farmer's organic certificate (NPOP, PGS-India, ...). Only approved,
+// unexpired certificates allow organic listings.
+const certificationSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  certificateNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedDate: {
+    type: Date,
+    required: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  document: {
+    url: String,
+    public_id: String,
+    storage: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  reminderSentAt: Date
+}, {
+  timestamps: true
+});
+
+certificationSchema.index({ farmer: 1, status: 1 });
+certificationSchema.index({ status: 1, expiryDate: 1 });
+
+// Whether the farmer currently holds an approved, unexpired certificate
+certificationSchema.statics.hasValidCertificate = async function(farmerId) {
+  const certificate = await this.exists({
+    farmer: farmerId,
+    status: 'approved',
+    expiryDate: { $gt: new Date() }
+  });
+  return !!certificate;
+};
+
+module.exports = mongoose.model('Certification', certificationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How often two products were bought in the same checkout. Each pair is
+// stored in both directions so either product finds the other.
+const coPurchaseSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  related: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastPurchasedAt: Date
+});
+
+coPurchaseSchema.index({ product: 1, related: 1 }, { unique: true });
+coPurchaseSchema.index({ product: 1, count: -1 });
+
+module.exports = mongoose.model('CoPurchase', coPurchaseSchema);
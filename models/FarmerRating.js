@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Aspects a buyer scores a farmer on, each from 1 to 5
+const ASPECTS = ['communication', 'freshness', 'packaging', 'punctuality'];
+
+const score = {
+  type: Number,
+  required: true,
+  min: 1,
+  max: 5
+};
+
+// A consumer's rating of a farmer for one delivered order
+const farmerRatingSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  scores: ASPECTS.reduce((scores, aspect) => ({ ...scores, [aspect]: score }), {}),
+  // Mean of the aspect scores
+  overall: Number,
+  comment: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// An order may include several farmers; each can be rated once per order
+farmerRatingSchema.index({ order: 1, farmer: 1 }, { unique: true });
+farmerRatingSchema.index({ farmer: 1, createdAt: -1 });
+
+farmerRatingSchema.pre('validate', function(next) {
+  const values = ASPECTS.map(aspect => this.scores[aspect]);
+  if (values.every(value => typeof value === 'number')) {
+    this.overall = values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+  next();
+});
+
+// Recompute the farmer's aggregate scores on their user document
+farmerRatingSchema.statics.refreshFarmerRating = async function(farmerId) {
+  const [stats] = await this.aggregate([
+    { $match: { farmer: new mongoose.Types.ObjectId(farmerId) } },
+    {
+      $group: ASPECTS.reduce((group, aspect) => ({
+        ...group,
+        [aspect]: { $avg: `$scores.${aspect}` }
+      }), { _id: null, overall: { $avg: '$overall' }, count: { $sum: 1 } })
+    }
+  ]);
+
+  const round = value => Math.round(value * 10) / 10;
+
+  await mongoose.model('User').updateOne(
+    { _id: farmerId },
+    {
+      $set: {
+        averageRating: stats ? round(stats.overall) : 0,
+        ratingCount: stats ? stats.count : 0,
+        ratingScores: ASPECTS.reduce((scores, aspect) => ({
+          ...scores,
+          [aspect]: stats ? round(stats[aspect]) : 0
+        }), {})
+      }
+    }
+  );
+};
+
+farmerRatingSchema.statics.ASPECTS = ASPECTS;
+
+module.exports = mongoose.model('FarmerRating', farmerRatingSchema);
@@ -37,6 +37,18 @@ const forumPostSchema = new mongoose.Schema({
   commentCount: {
     type: Number,
     default: 0
+  },
+  takenDown: {
+    type: Boolean,
+    default: false
+  },
+  takedown: {
+    reason: String,
+    takenDownAt: Date,
+    takenDownBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true
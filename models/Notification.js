@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An entry in a user's in-app notification inbox
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'new_listing'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Put the same notification in several users' inboxes
+notificationSchema.statics.deliver = function(userIds, notification) {
+  if (userIds.length === 0) return Promise.resolve([]);
+  return this.insertMany(userIds.map(user => ({ ...notification, user })));
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
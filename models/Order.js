@@ -6,6 +6,8 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Items keep what was bought as it was at the time (name, price, pack
+  // size, picture) so order history does not depend on the product listing
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -28,12 +30,27 @@ const orderSchema = new mongoose.Schema({
     name: {
       type: String,
       required: true
+    },
+    // Pack size ordered, for products sold in variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    variantLabel: String,
+    sku: String,
+    unit: String,
+    image: {
+      type: String,
+      default: null
     }
   }],
   totalAmount: {
     type: Number,
     required: true
   },
+  // Shared by the orders (one per farmer) created from one cart checkout
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
@@ -86,5 +103,29 @@ const orderSchema = new mongoose.Schema({
 // Create index for quick lookup
 orderSchema.index({ consumer: 1, status: 1 });
 orderSchema.index({ 'items.farmer': 1 });
+orderSchema.index({ checkout: 1 }, { sparse: true });
+
+// Copy product pictures onto the items of orders placed before items kept
+// their own. Runs at startup; a no-op once done.
+orderSchema.statics.backfillItemImages = async function() {
+  const Product = mongoose.model('Product');
+  const orders = this.collection
+    .find({ 'items.0': { $exists: true }, 'items.image': { $exists: false } })
+    .project({ items: 1 });
+
+  for await (const order of orders) {
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+      .select('images');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const update = {};
+    order.items.forEach((item, index) => {
+      const product = productsById.get(String(item.product));
+      update[`items.${index}.image`] = product ? product.coverImage() : null;
+    });
+
+    await this.collection.updateOne({ _id: order._id }, { $set: update });
+  }
+};
 
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One-time codes sent by SMS. A single document per number and purpose keeps
+// track of the current code as well as the resend and attempt counters.
+const otpSchema = new mongoose.Schema({
+  contactNumber: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['register', 'login', 'link']
+  },
+  // Account the code was requested for (phone linking only)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: Date
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ contactNumber: 1, purpose: 1 }, { unique: true });
+// Drop stale records once the resend window can no longer apply
+otpSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
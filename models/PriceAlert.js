@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A consumer's request to hear when a price drops to a target. Product
+// alerts fire once; category alerts stay active and report each matching
+// listing near the consumer once.
+const priceAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Pack size of the product to watch, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  category: String,
+  // Where category alerts look for listings
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  radiusKm: Number,
+  targetPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  triggeredAt: Date,
+  // Listings a category alert has already reported
+  notifiedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }]
+}, {
+  timestamps: true
+});
+
+priceAlertSchema.index({ user: 1, createdAt: -1 });
+priceAlertSchema.index({ active: 1, product: 1 });
+
+priceAlertSchema.pre('validate', function(next) {
+  if (!this.product === !this.category) {
+    this.invalidate('product', 'An alert is for either a product or a category');
+  }
+  if (this.category && !(this.location && this.location.coordinates && this.radiusKm > 0)) {
+    this.invalidate('location', 'Category alerts need a location and radius');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A product's (or variant's) listed price from a point in time, recorded
+// whenever it is set (see the Product save hooks)
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for the price of a pack size
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  price: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,5 +1,100 @@
 const mongoose = require('mongoose');
 
+const UNITS = ['kg', 'gram', 'piece', 'dozen', 'liter'];
+
+// Bulk price break: buying at least minQuantity units costs price per unit
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Automatic discount as expiry approaches, e.g. 20% off in the last 48 hours
+const markdownRuleSchema = new mongoose.Schema({
+  hoursBeforeExpiry: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentOff: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 90
+  }
+}, { _id: false });
+
+// An image held by a storage driver (see utils/storage.js)
+const imageSchema = new mongoose.Schema({
+  url: String,
+  public_id: String,
+  thumbnailUrl: String,
+  thumbnailId: String,
+  width: Number,
+  height: Number,
+  // Storage driver holding the files; older images are on Cloudinary
+  storage: String
+});
+
+const distinctTiers = tiers => new Set(tiers.map(tier => tier.minQuantity)).size === tiers.length;
+
+// A pack size of a product (e.g. 500 g, 1 kg, 5 kg crate) with its own
+// price and stock
+const variantSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: UNITS
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  priceTiers: {
+    type: [priceTierSchema],
+    validate: [distinctTiers, 'Price tiers must have different minimum quantities']
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+variantSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, this.quantity - (this.reservedQuantity || 0));
+});
+
 const productSchema = new mongoose.Schema({
   farmer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +114,11 @@ const productSchema = new mongoose.Schema({
     required: true,
     enum: ['vegetables', 'fruits', 'grains', 'dairy', 'other']
   },
+  // Farmer's own stock code, unique within their catalogue
+  sku: {
+    type: String,
+    trim: true
+  },
   price: {
     type: Number,
     required: true
@@ -26,17 +126,47 @@ const productSchema = new mongoose.Schema({
   unit: {
     type: String,
     required: true,
-    enum: ['kg', 'gram', 'piece', 'dozen', 'liter']
+    enum: UNITS
   },
   quantity: {
     type: Number,
     required: true,
     min: 0
   },
-  images: [{
-    url: String,
-    public_id: String
-  }],
+  // Units held in buyers' carts; see models/Reservation.js
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Bumped by every stock change, atomic (utils/stock.js) or saved, so that
+  // a save never overwrites stock counters changed since it was loaded
+  stockVersion: Number,
+  // Wholesale price breaks on the base price (variants carry their own)
+  priceTiers: {
+    type: [priceTierSchema],
+    validate: [distinctTiers, 'Price tiers must have different minimum quantities']
+  },
+  minOrderQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // When present, price/unit/quantity above are derived from the variants
+  variants: [variantSchema],
+  images: [imageSchema],
+  // Copy of the farm's location (User.farmDetails.location) so products can
+  // be found with a single geo query; kept in sync by syncFarmLocation
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   harvestDate: {
     type: Date,
     required: true
@@ -44,43 +174,55 @@ const productSchema = new mongoose.Schema({
   expiryDate: {
     type: Date
   },
+  // Only apply when expiryDate is set
+  markdownRules: [markdownRuleSchema],
+  // Requires an approved organic certificate (see models/Certification.js)
   organic: {
     type: Boolean,
     default: false
   },
-  certifications: [{
-    name: String,
-    certificationNumber: String,
-    issuedDate: Date,
-    expiryDate: Date
-  }],
   status: {
     type: String,
-    enum: ['available', 'sold_out'],
+    enum: ['available', 'sold_out', 'expired'],
     default: 'available'
   },
-  ratings: [{
-    user: {
+  takenDown: {
+    type: Boolean,
+    default: false
+  },
+  takedown: {
+    reason: String,
+    takenDownAt: Date,
+    takenDownBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    },
-    rating: Number,
-    review: String,
-    date: {
-      type: Date,
-      default: Date.now
     }
-  }],
+  },
+  // Withdrawn by the farmer. Archived listings are hidden from buyers but
+  // kept, with their reviews and price history, for the orders that
+  // reference them.
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date,
+  // Maintained from visible reviews (see Review.refreshProductRating)
   averageRating: {
     type: Number,
     default: 0
   },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   totalSales: {
     type: Number,
     default: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for text search
@@ -90,10 +232,258 @@ productSchema.index({
   category: 'text' 
 });
 
-// Pre-save middleware to update status based on quantity
+productSchema.index({ location: '2dsphere' });
+
+// SKUs identify listings in spreadsheet imports
+productSchema.index(
+  { farmer: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
+// Stock that can still be added to a cart or ordered
+productSchema.virtual('availableQuantity').get(function() {
+  if (this.quantity === undefined) return undefined;
+  return Math.max(0, this.quantity - (this.reservedQuantity || 0));
+});
+
+// Whether the produce is past its expiry date
+productSchema.methods.isExpired = function(at = new Date()) {
+  return !!this.expiryDate && this.expiryDate <= at;
+};
+
+// Percentage taken off by the markdown rules right now (0 when none apply)
+productSchema.virtual('markdownPercent').get(function() {
+  if (!this.expiryDate || !this.markdownRules || this.isExpired()) return 0;
+
+  const hoursLeft = (this.expiryDate - Date.now()) / (60 * 60 * 1000);
+  return this.markdownRules
+    .filter(rule => hoursLeft <= rule.hoursBeforeExpiry)
+    .reduce((best, rule) => Math.max(best, rule.percentOff), 0);
+});
+
+// Picture of the product for lists and order history: the first image's
+// thumbnail, or null without images
+productSchema.methods.coverImage = function() {
+  const [image] = this.images || [];
+  return image ? image.thumbnailUrl || image.url : null;
+};
+
+// Find a variant by id, or null
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId) return null;
+  return this.variants.id(variantId) || null;
+};
+
+// Per-unit price when buying `quantity` of the product (or of one of its
+// variants), using the highest price tier the quantity reaches and any
+// markdown for approaching expiry
+productSchema.methods.unitPrice = function(quantity, variantId) {
+  const source = this.getVariant(variantId) || this;
+  const tier = (source.priceTiers || [])
+    .filter(t => quantity >= t.minQuantity)
+    .reduce((best, t) => (!best || t.minQuantity > best.minQuantity ? t : best), null);
+  const price = tier ? tier.price : source.price;
+
+  const markdown = this.markdownPercent;
+  return markdown ? Math.round(price * (100 - markdown)) / 100 : price;
+};
+
+// Replace the variant list from user input. Variants with an _id update the
+// existing entry (keeping its reserved stock), others are added, and missing
+// ones are removed. Returns an error message, or null on success.
+productSchema.methods.applyVariants = function(input) {
+  const skus = new Set();
+  const next = [];
+
+  for (const data of input) {
+    if (data.sku) {
+      if (skus.has(data.sku)) return `Duplicate SKU ${data.sku}`;
+      skus.add(data.sku);
+    }
+
+    const existing = data._id ? this.variants.id(data._id) : null;
+    if (data._id && !existing) return `Variant ${data._id} not found`;
+
+    const fields = {
+      label: data.label,
+      size: data.size,
+      unit: data.unit,
+      price: data.price,
+      quantity: data.quantity,
+      sku: data.sku,
+      priceTiers: data.priceTiers
+    };
+
+    if (existing) {
+      Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+      existing.set(fields);
+      next.push(existing);
+    } else {
+      next.push(fields);
+    }
+  }
+
+  const kept = new Set(next.filter(v => v._id).map(v => v._id.toString()));
+  const removedWithHolds = this.variants.find(v => !kept.has(v._id.toString()) && v.reservedQuantity > 0);
+  if (removedWithHolds) {
+    return `Variant ${removedWithHolds.label} is in buyers' carts and cannot be removed`;
+  }
+
+  this.variants = next;
+  return null;
+};
+
+// Keep product-level price, unit and stock in line with the variants
+// (cheapest pack is the headline price). Runs before validation so the
+// required fields are filled in for variant-only listings.
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    const cheapest = this.variants.reduce((min, v) => (v.price < min.price ? v : min));
+    this.price = cheapest.price;
+    this.unit = cheapest.unit;
+    this.quantity = this.variants.reduce((sum, v) => sum + v.quantity, 0);
+    this.reservedQuantity = this.variants.reduce((sum, v) => sum + (v.reservedQuantity || 0), 0);
+  }
+  next();
+});
+
+// Saves writing stock or variants only apply if the stock has not changed
+// since the document was loaded; otherwise they fail with a
+// DocumentNotFoundError (or VersionError) and should be retried on a fresh copy
+const STOCK_PATHS = ['quantity', 'reservedQuantity', 'variants'];
+
 productSchema.pre('save', function(next) {
-  this.status = this.quantity > 0 ? 'available' : 'sold_out';
+  if (!this.isNew && STOCK_PATHS.some(path => this.isModified(path))) {
+    this.$where = { ...this.$where, stockVersion: this.stockVersion || { $in: [0, null] } };
+    this.stockVersion = (this.stockVersion || 0) + 1;
+  }
   next();
 });
 
+productSchema.post('save', function() {
+  if (this.$where) delete this.$where.stockVersion;
+});
+
+// Pre-save middleware to update status based on expiry and quantity
+productSchema.pre('save', function(next) {
+  const wasSoldOut = !this.isNew && this.status === 'sold_out';
+
+  if (this.isExpired()) {
+    this.status = 'expired';
+  } else {
+    this.status = this.quantity > 0 ? 'available' : 'sold_out';
+  }
+
+  // Subscribers are told after the save (see the post-save hook below)
+  this.$locals.newListing = this.isNew;
+  this.$locals.backInStock = wasSoldOut && this.status === 'available' && !this.archived;
+  next();
+});
+
+// Prices as stored, to tell real price changes from variants that were only
+// carried over when the variants were replaced (see applyVariants)
+const storedPrices = product => ({
+  price: product.price,
+  variants: new Map(product.variants.map(variant => [variant._id.toString(), variant.price]))
+});
+
+productSchema.post('init', function() {
+  this.$locals.storedPrices = storedPrices(this);
+});
+
+// Note new prices of the product and its variants for the price history
+productSchema.pre('save', function(next) {
+  const stored = this.isNew ? null : this.$locals.storedPrices;
+  const changes = [];
+  if (!stored || this.price !== stored.price) {
+    changes.push({ product: this._id, price: this.price });
+  }
+  for (const variant of this.variants) {
+    if (!stored || variant.price !== stored.variants.get(variant._id.toString())) {
+      changes.push({ product: this._id, variant: variant._id, price: variant.price });
+    }
+  }
+  this.$locals.priceChanges = changes;
+  next();
+});
+
+productSchema.post('save', async function() {
+  this.$locals.storedPrices = storedPrices(this);
+  const changes = this.$locals.priceChanges || [];
+  this.$locals.priceChanges = [];
+  if (changes.length === 0) return;
+
+  // The listing is already saved; a missing history entry is not worth failing it
+  try {
+    await mongoose.model('PriceHistory').insertMany(changes);
+  } catch (err) {
+    console.error('Error recording price history:', err.message);
+  }
+});
+
+// Notify buyers waiting for the product to return and the farmer's followers
+productSchema.post('save', async function() {
+  const { newListing, backInStock } = this.$locals;
+  this.$locals.newListing = false;
+  this.$locals.backInStock = false;
+
+  try {
+    const Subscription = mongoose.model('Subscription');
+    if (newListing && this.status === 'available') {
+      await Subscription.notifyNewListing(this);
+    }
+    if (backInStock) {
+      await Subscription.notifyBackInStock(this);
+    }
+  } catch (err) {
+    console.error('Error sending product notifications:', err.message);
+  }
+});
+
+// Mark every product past its expiry date as expired. Run periodically.
+productSchema.statics.expireProducts = async function() {
+  const result = await this.updateMany(
+    { expiryDate: { $lte: new Date() }, status: { $ne: 'expired' } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+// GeoJSON point of a farmer's farm, or undefined when it has none
+productSchema.statics.farmLocation = function(farmer) {
+  const location = farmer && farmer.farmDetails && farmer.farmDetails.location;
+  if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [...location.coordinates] };
+};
+
+// Move all of a farmer's listings to the farm's current location
+productSchema.statics.syncFarmLocation = function(farmer) {
+  const location = this.farmLocation(farmer);
+  return this.updateMany(
+    { farmer: farmer._id },
+    location ? { $set: { location } } : { $unset: { location: '' } }
+  );
+};
+
+// Copy farm locations onto products listed before locations were
+// denormalised. Safe to run on every start.
+productSchema.statics.backfillLocations = async function() {
+  const farmerIds = await this.find({ location: { $exists: false } }).distinct('farmer');
+  const farmers = await mongoose.model('User').find({ _id: { $in: farmerIds } }).select('farmDetails');
+
+  for (const farmer of farmers) {
+    const location = this.farmLocation(farmer);
+    if (location) {
+      await this.updateMany(
+        { farmer: farmer._id, location: { $exists: false } },
+        { $set: { location } }
+      );
+    }
+  }
+};
+
+productSchema.statics.UNITS = UNITS;
+
 module.exports = mongoose.model('Product', productSchema); 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Stock held for a buyer while the product sits in their cart
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Pack size the stock is held from, when the product has variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+reservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
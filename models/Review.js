@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+// A photo held by a storage driver (see utils/storage.js)
+const photoSchema = new mongoose.Schema({
+  url: String,
+  public_id: String,
+  thumbnailUrl: String,
+  thumbnailId: String,
+  width: Number,
+  height: Number,
+  storage: String
+});
+
+// A consumer's review of a product. New reviews require a delivered order
+// containing the product; reviews carried over from before that rule are
+// marked unverified unless such an order exists.
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Seller of the product, who may reply
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Delivered order the review is based on
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  review: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  photos: [photoSchema],
+  editedAt: Date,
+  reply: {
+    text: String,
+    repliedAt: Date
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    reason: String,
+    hiddenAt: Date,
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One review per consumer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, hidden: 1, createdAt: -1 });
+reviewSchema.index({ hidden: 1, reportCount: -1 });
+
+reviewSchema.pre('save', function(next) {
+  if (this.isModified('helpfulVotes')) {
+    this.helpfulCount = this.helpfulVotes.length;
+  }
+  if (this.isModified('reports')) {
+    this.reportCount = this.reports.length;
+  }
+  next();
+});
+
+// Fields only moderators see
+reviewSchema.statics.PUBLIC_FIELDS = '-reports -helpfulVotes -moderation';
+
+// Recompute a product's average rating and review count from its visible reviews
+reviewSchema.statics.refreshProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), hidden: false } },
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      $set: {
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        reviewCount: stats ? stats.reviewCount : 0
+      }
+    }
+  );
+};
+
+// Move ratings embedded in products (before reviews had their own
+// collection) into reviews. Runs at startup; a no-op once migrated.
+reviewSchema.statics.migrateEmbeddedRatings = async function() {
+  const Order = mongoose.model('Order');
+  const products = await mongoose.model('Product').collection
+    .find({ ratings: { $exists: true } })
+    .project({ farmer: 1, ratings: 1 })
+    .toArray();
+
+  for (const product of products) {
+    for (const rating of product.ratings || []) {
+      if (!rating.user || !(rating.rating >= 1 && rating.rating <= 5) || !rating.review) continue;
+
+      const order = await Order.findOne({
+        consumer: rating.user,
+        status: 'delivered',
+        'items.product': product._id
+      }).select('_id');
+
+      await this.updateOne(
+        { product: product._id, user: rating.user },
+        {
+          $setOnInsert: {
+            farmer: product.farmer,
+            order: order ? order._id : undefined,
+            verified: !!order,
+            rating: rating.rating,
+            review: rating.review,
+            createdAt: rating.date || new Date(),
+            updatedAt: rating.date || new Date()
+          }
+        },
+        { upsert: true, timestamps: false }
+      );
+    }
+
+    await this.refreshProductRating(product._id);
+    await mongoose.model('Product').collection.updateOne({ _id: product._id }, { $unset: { ratings: '' } });
+  }
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
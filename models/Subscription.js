@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A consumer's request to be told when a sold-out product is back in stock
+// (once), or when a farmer they follow lists new produce
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'new_listing'],
+    required: true
+  },
+  // Product to watch (back_in_stock)
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Farmer followed (new_listing)
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, type: 1, product: 1, farmer: 1 }, { unique: true });
+subscriptionSchema.index({ type: 1, product: 1 });
+subscriptionSchema.index({ type: 1, farmer: 1 });
+
+// Tell everyone waiting for a product that it is back in stock. Each
+// subscription is used up.
+subscriptionSchema.statics.notifyBackInStock = async function(product) {
+  const subscriptions = await this.find({ type: 'back_in_stock', product: product._id }).select('user');
+  if (subscriptions.length === 0) return 0;
+
+  await this.deleteMany({ _id: { $in: subscriptions.map(subscription => subscription._id) } });
+  await mongoose.model('Notification').deliver(subscriptions.map(subscription => subscription.user), {
+    type: 'back_in_stock',
+    title: `${product.name} is back in stock`,
+    message: `${product.name} is available again. Order before it sells out.`,
+    product: product._id,
+    farmer: product.farmer
+  });
+  return subscriptions.length;
+};
+
+// Tell a farmer's followers about a new listing
+subscriptionSchema.statics.notifyNewListing = async function(product) {
+  const followers = await this.find({ type: 'new_listing', farmer: product.farmer }).distinct('user');
+  if (followers.length === 0) return 0;
+
+  const farmer = await mongoose.model('User').findById(product.farmer).select('name farmDetails');
+  const farmName = farmer
+    ? (farmer.farmDetails && farmer.farmDetails.farmName) || farmer.name
+    : 'A farmer you follow';
+
+  await mongoose.model('Notification').deliver(followers, {
+    type: 'new_listing',
+    title: `New from ${farmName}`,
+    message: `${farmName} has listed ${product.name}.`,
+    product: product._id,
+    farmer: product.farmer
+  });
+  return followers.length;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,24 +1,48 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ROLES = ['farmer', 'consumer', 'admin'];
+
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true
   },
+  // Optional for farmers who sign up with a phone number only
   email: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     lowercase: true
   },
   password: {
     type: String,
-    required: true
+    required: function() {
+      return !!this.email;
+    }
+  },
+  passwordChangedAt: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
   },
+  lockUntil: Date,
+  // Every role the account holds; authorization checks this list
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: undefined
+  },
+  // Active role the account is currently acting as (used for display and defaults)
   role: {
     type: String,
-    enum: ['farmer', 'consumer', 'admin'],
+    enum: ROLES,
     default: 'farmer'
   },
   farmDetails: {
@@ -41,29 +65,59 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set once the number has been confirmed by OTP; enables phone login
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
   profileImage: {
     type: String,
     default: ''
   },
+  // Where profileImage is stored (see utils/storage.js)
+  profileImageFile: {
+    public_id: String,
+    thumbnailUrl: String,
+    thumbnailId: String,
+    storage: String
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
-  ratings: [{
-    user: {
+  // Farm verification (KYC) state shown to buyers as the verified badge
+  kycStatus: {
+    type: String,
+    enum: ['none', 'pending', 'approved', 'rejected'],
+    default: 'none'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    },
-    rating: Number,
-    review: String,
-    date: {
-      type: Date,
-      default: Date.now
     }
-  }],
+  },
+  // Farmers' aggregate buyer ratings (see FarmerRating.refreshFarmerRating)
   averageRating: {
     type: Number,
     default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  ratingScores: {
+    communication: Number,
+    freshness: Number,
+    packaging: Number,
+    punctuality: Number
   }
 }, {
   timestamps: true
@@ -72,6 +126,22 @@ const userSchema = new mongoose.Schema({
 // Index for location-based queries
 userSchema.index({ "farmDetails.location": "2dsphere" });
 
+// A verified phone number identifies exactly one account
+userSchema.index(
+  { contactNumber: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
+
+// Keep the active role within the roles the account holds
+userSchema.pre('save', function(next) {
+  if (!this.roles || this.roles.length === 0) {
+    this.roles = [this.role];
+  } else if (!this.roles.includes(this.role)) {
+    this.role = this.roles[0];
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -79,6 +149,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    // Backdate slightly so a token issued right after the change is still valid
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now() - 1000;
+    }
     next();
   } catch (error) {
     next(error);
@@ -87,7 +161,89 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the account holds a role
+userSchema.methods.hasRole = function(role) {
+  if (this.roles && this.roles.length > 0) {
+    return this.roles.includes(role);
+  }
+  return this.role === role;
+};
+
+// Method to check whether password login is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// Method to record a failed password login. Every LOCKOUT_THRESHOLD
+// consecutive failures lock the account, doubling the lock each time.
+userSchema.methods.registerFailedLogin = function() {
+  this.failedLoginAttempts += 1;
+
+  if (this.failedLoginAttempts % LOCKOUT_THRESHOLD === 0) {
+    const lockouts = this.failedLoginAttempts / LOCKOUT_THRESHOLD;
+    const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (lockouts - 1), LOCKOUT_MAX_MS);
+    this.lockUntil = new Date(Date.now() + duration);
+  }
+
+  return this.save();
+};
+
+// Method to clear failed login tracking after a successful login
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return Promise.resolve(this);
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+// Method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Storage record of the profile image, for removing it. Images uploaded
+// before their ids were stored are in Cloudinary's farmer-profiles folder.
+userSchema.methods.profileImageRecord = function() {
+  if (this.profileImageFile && this.profileImageFile.public_id) {
+    return this.profileImageFile;
+  }
+  if (this.profileImage) {
+    return {
+      public_id: `farmer-profiles/${this.profileImage.split('/').pop().split('.')[0]}`,
+      storage: 'cloudinary'
+    };
+  }
+  return null;
+};
+
+// Whether an admin has suspended the account (whose listings then can't be bought)
+userSchema.statics.isSuspended = async function(userId) {
+  return !!(await this.exists({ _id: userId, status: 'suspended' }));
+};
+
+// Populate roles for accounts created before multi-role support
+userSchema.statics.backfillRoles = function() {
+  return this.updateMany(
+    { $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] },
+    [{ $set: { roles: ['$role'] } }]
+  );
+};
+
+// Rebuild the email index as sparse where it was created before email became
+// optional; otherwise every phone-only account after the first is rejected
+// as a duplicate of the missing email
+userSchema.statics.makeEmailIndexSparse = async function() {
+  const indexes = await this.collection.indexes();
+  const index = indexes.find(existing => existing.name === 'email_1');
+  if (!index || index.sparse) return;
+
+  await this.collection.dropIndex('email_1');
+  await this.collection.createIndex({ email: 1 }, { unique: true, sparse: true });
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const verificationRequestSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documents: [{
+    type: {
+      type: String,
+      required: true,
+      enum: ['land_record', 'id_proof', 'fpo_membership']
+    },
+    url: String,
+    public_id: String,
+    // Storage driver holding the file; older documents are on Cloudinary
+    storage: String
+  }],
+  notes: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+verificationRequestSchema.index({ farmer: 1, createdAt: -1 });
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('VerificationRequest', verificationRequestSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Products a consumer has saved for later
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true // One wishlist per user
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, { timestamps: true });
+
+wishlistSchema.index({ 'items.product': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,890 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const ForumPost = require('../models/ForumPost');
+const VerificationRequest = require('../models/VerificationRequest');
+const Certification = require('../models/Certification');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { revertOrganicListings } = require('../utils/certifications');
+const { releaseProduct } = require('../utils/stock');
+
+// Apply protect and authorize middleware to all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET api/admin/users
+// @desc    List and search users
+// @access  Private (Admin only)
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, status, isVerified, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role) query.roles = role;
+    if (status) query.status = status;
+    if (isVerified !== undefined) query.isVerified = isVerified === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { name: pattern },
+        { email: pattern },
+        { contactNumber: pattern },
+        { 'farmDetails.farmName': pattern }
+      ];
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/users/:id
+// @desc    Get a user by ID
+// @access  Private (Admin only)
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/users/:id/suspend
+// @desc    Suspend a user account
+// @access  Private (Admin only)
+router.put('/users/:id/suspend',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ message: 'You cannot suspend your own account' });
+      }
+
+      const user = await User.findById(req.params.id).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      user.status = 'suspended';
+      user.suspension = {
+        reason: req.body.reason,
+        suspendedAt: Date.now(),
+        suspendedBy: req.user.id
+      };
+      await user.save();
+
+      // Sign the user out everywhere
+      await revokeUserSessions(user._id);
+
+      await recordAudit(req, {
+        action: 'admin.user_suspend',
+        target: { type: 'User', id: user._id },
+        metadata: { reason: req.body.reason }
+      });
+
+      res.json(user);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/users/:id/reinstate
+// @desc    Reinstate a suspended user account
+// @access  Private (Admin only)
+router.put('/users/:id/reinstate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.status = 'active';
+    user.suspension = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'admin.user_reinstate',
+      target: { type: 'User', id: user._id }
+    });
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/users/:id/roles
+// @desc    Change the roles a user holds
+// @access  Private (Admin only)
+router.put('/users/:id/roles',
+  [
+    check('roles', 'Roles must be a non-empty list').isArray({ min: 1 }),
+    check('roles.*', 'Invalid role').isIn(['farmer', 'consumer', 'admin'])
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ message: 'You cannot change your own roles' });
+      }
+
+      const user = await User.findById(req.params.id).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const previousRoles = [...(user.roles || [user.role])];
+
+      // The pre-save hook moves the active role if it was removed
+      user.roles = [...new Set(req.body.roles)];
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'admin.user_roles_change',
+        target: { type: 'User', id: user._id },
+        changes: { before: { roles: previousRoles }, after: { roles: user.roles } }
+      });
+
+      res.json(user);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/users/:id/verify
+// @desc    Mark a farmer as verified
+// @access  Private (Admin only)
+router.put('/users/:id/verify', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.hasRole('farmer')) {
+      return res.status(400).json({ message: 'Only farmers can be verified' });
+    }
+
+    user.isVerified = true;
+    user.kycStatus = 'approved';
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'admin.farmer_verify',
+      target: { type: 'User', id: user._id }
+    });
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/verifications
+// @desc    List farm verification requests
+// @access  Private (Admin only)
+router.get('/verifications', async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const verifications = await VerificationRequest.find(query)
+      .populate('farmer', 'name email contactNumber farmDetails kycStatus')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await VerificationRequest.countDocuments(query);
+
+    res.json({
+      verifications,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/verifications/:id/approve
+// @desc    Approve a farm verification request
+// @access  Private (Admin only)
+router.put('/verifications/:id/approve', async (req, res) => {
+  try {
+    const verification = await VerificationRequest.findById(req.params.id);
+
+    if (!verification) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+
+    if (verification.status !== 'pending') {
+      return res.status(400).json({ message: `Verification request is already ${verification.status}` });
+    }
+
+    verification.status = 'approved';
+    verification.reviewedBy = req.user.id;
+    verification.reviewedAt = Date.now();
+    await verification.save();
+
+    await User.findByIdAndUpdate(verification.farmer, {
+      $set: { isVerified: true, kycStatus: 'approved' }
+    });
+
+    await recordAudit(req, {
+      action: 'admin.kyc_approve',
+      target: { type: 'VerificationRequest', id: verification._id },
+      metadata: { farmer: verification.farmer }
+    });
+
+    res.json(verification);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/verifications/:id/reject
+// @desc    Reject a farm verification request
+// @access  Private (Admin only)
+router.put('/verifications/:id/reject',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const verification = await VerificationRequest.findById(req.params.id);
+
+      if (!verification) {
+        return res.status(404).json({ message: 'Verification request not found' });
+      }
+
+      if (verification.status !== 'pending') {
+        return res.status(400).json({ message: `Verification request is already ${verification.status}` });
+      }
+
+      verification.status = 'rejected';
+      verification.rejectionReason = req.body.reason;
+      verification.reviewedBy = req.user.id;
+      verification.reviewedAt = Date.now();
+      await verification.save();
+
+      await User.findByIdAndUpdate(verification.farmer, { $set: { kycStatus: 'rejected' } });
+
+      await recordAudit(req, {
+        action: 'admin.kyc_reject',
+        target: { type: 'VerificationRequest', id: verification._id },
+        metadata: { farmer: verification.farmer, reason: req.body.reason }
+      });
+
+      res.json(verification);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Verification request not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/admin/certifications
+// @desc    List organic certificates awaiting review (or by status)
+// @access  Private (Admin only)
+router.get('/certifications', async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const certifications = await Certification.find(query)
+      .populate('farmer', 'name email contactNumber farmDetails kycStatus')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Certification.countDocuments(query);
+
+    res.json({
+      certifications,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/certifications/:id/approve
+// @desc    Approve an organic certificate
+// @access  Private (Admin only)
+router.put('/certifications/:id/approve', async (req, res) => {
+  try {
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    if (certification.status !== 'pending') {
+      return res.status(400).json({ message: `Certificate is already ${certification.status}` });
+    }
+
+    if (certification.expiryDate <= new Date()) {
+      return res.status(400).json({ message: 'Certificate has already expired' });
+    }
+
+    certification.status = 'approved';
+    certification.reviewedBy = req.user.id;
+    certification.reviewedAt = Date.now();
+    await certification.save();
+
+    await recordAudit(req, {
+      action: 'admin.certification_approve',
+      target: { type: 'Certification', id: certification._id },
+      metadata: { farmer: certification.farmer }
+    });
+
+    res.json(certification);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/certifications/:id/reject
+// @desc    Reject a pending certificate, or revoke an approved one
+// @access  Private (Admin only)
+router.put('/certifications/:id/reject',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const certification = await Certification.findById(req.params.id);
+
+      if (!certification) {
+        return res.status(404).json({ message: 'Certificate not found' });
+      }
+
+      if (!['pending', 'approved'].includes(certification.status)) {
+        return res.status(400).json({ message: `Certificate is already ${certification.status}` });
+      }
+
+      const wasApproved = certification.status === 'approved';
+
+      certification.status = 'rejected';
+      certification.rejectionReason = req.body.reason;
+      certification.reviewedBy = req.user.id;
+      certification.reviewedAt = Date.now();
+      await certification.save();
+
+      // A revoked certificate no longer backs the farmer's organic listings
+      const reverted = wasApproved ? await revertOrganicListings(certification.farmer) : 0;
+
+      await recordAudit(req, {
+        action: wasApproved ? 'admin.certification_revoke' : 'admin.certification_reject',
+        target: { type: 'Certification', id: certification._id },
+        metadata: { farmer: certification.farmer, reason: req.body.reason, revertedListings: reverted }
+      });
+
+      res.json(certification);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Certificate not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/products/:id/takedown
+// @desc    Take down a product listing
+// @access  Private (Admin only)
+router.put('/products/:id/takedown',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByIdAndUpdate(
+        req.params.id,
+        {
+          $set: {
+            takenDown: true,
+            takedown: {
+              reason: req.body.reason,
+              takenDownAt: Date.now(),
+              takenDownBy: req.user.id
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      // Buyers can no longer get it: give back held stock and take it out of carts
+      await releaseProduct(product._id);
+      await Cart.purgeProduct(
+        product,
+        `${product.name} is no longer available and was removed from your cart`
+      );
+
+      await recordAudit(req, {
+        action: 'admin.product_takedown',
+        target: { type: 'Product', id: product._id },
+        metadata: { reason: req.body.reason }
+      });
+
+      res.json(product);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/products/:id/restore
+// @desc    Restore a taken down product listing
+// @access  Private (Admin only)
+router.put('/products/:id/restore', async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $set: { takenDown: false }, $unset: { takedown: '' } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'admin.product_restore',
+      target: { type: 'Product', id: product._id }
+    });
+
+    res.json(product);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/forum/:id/takedown
+// @desc    Take down a forum post
+// @access  Private (Admin only)
+router.put('/forum/:id/takedown',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const post = await ForumPost.findByIdAndUpdate(
+        req.params.id,
+        {
+          $set: {
+            takenDown: true,
+            takedown: {
+              reason: req.body.reason,
+              takenDownAt: Date.now(),
+              takenDownBy: req.user.id
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+
+      await recordAudit(req, {
+        action: 'admin.forum_takedown',
+        target: { type: 'ForumPost', id: post._id },
+        metadata: { reason: req.body.reason }
+      });
+
+      res.json({ post });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/forum/:id/restore
+// @desc    Restore a taken down forum post
+// @access  Private (Admin only)
+router.put('/forum/:id/restore', async (req, res) => {
+  try {
+    const post = await ForumPost.findByIdAndUpdate(
+      req.params.id,
+      { $set: { takenDown: false }, $unset: { takedown: '' } },
+      { new: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'admin.forum_restore',
+      target: { type: 'ForumPost', id: post._id }
+    });
+
+    res.json({ post });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/reviews
+// @desc    List reviews for moderation: reported (default), hidden or all
+// @access  Private (Admin only)
+router.get('/reviews', async (req, res) => {
+  try {
+    const { status = 'reported', page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status === 'reported') {
+      query.hidden = false;
+      query.reportCount = { $gt: 0 };
+    } else if (status === 'hidden') {
+      query.hidden = true;
+    }
+
+    const reviews = await Review.find(query)
+      .select('-helpfulVotes')
+      .populate('user', 'name email')
+      .populate('product', 'name farmer')
+      .sort(status === 'reported' ? { reportCount: -1, createdAt: 1 } : { createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/reviews/:id/hide
+// @desc    Hide a review from buyers and from the product's rating
+// @access  Private (Admin only)
+router.put('/reviews/:id/hide',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const review = await Review.findByIdAndUpdate(
+        req.params.id,
+        {
+          $set: {
+            hidden: true,
+            moderation: {
+              reason: req.body.reason,
+              hiddenAt: Date.now(),
+              hiddenBy: req.user.id
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      await Review.refreshProductRating(review.product);
+
+      await recordAudit(req, {
+        action: 'admin.review_hide',
+        target: { type: 'Review', id: review._id },
+        metadata: { product: review.product, reason: req.body.reason }
+      });
+
+      res.json(review);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/admin/reviews/:id/restore
+// @desc    Show a hidden review again and clear its reports
+// @access  Private (Admin only)
+router.put('/reviews/:id/restore', async (req, res) => {
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { $set: { hidden: false, reports: [], reportCount: 0 }, $unset: { moderation: '' } },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await Review.refreshProductRating(review.product);
+
+    await recordAudit(req, {
+      action: 'admin.review_restore',
+      target: { type: 'Review', id: review._id },
+      metadata: { product: review.product }
+    });
+
+    res.json(review);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/orders
+// @desc    Get all orders with filters
+// @access  Private (Admin only)
+router.get('/orders', async (req, res) => {
+  try {
+    const {
+      status,
+      paymentStatus,
+      paymentMethod,
+      consumer,
+      farmer,
+      from,
+      to,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (paymentMethod) query.paymentMethod = paymentMethod;
+    if (consumer) query.consumer = consumer;
+    if (farmer) query['items.farmer'] = farmer;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const orders = await Order.find(query)
+      .populate('consumer', 'name email')
+      .populate('items.farmer', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid filter ID' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/audit-logs
+// @desc    Query the security audit log
+// @access  Private (Admin only)
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const {
+      actor,
+      action,
+      targetType,
+      targetId,
+      ip,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) {
+      // "product.*" matches every product action
+      query.action = action.endsWith('.*')
+        ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+        : action;
+    }
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (ip) query.ip = ip;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid filter ID' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Escape user input for use in a regular expression
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = router;
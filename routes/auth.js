@@ -1,15 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeUserSessions,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signPasswordResetToken,
+  verifyPasswordResetToken
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { normalizePhone, sendOtp, verifyOtp } = require('../utils/otp');
+const { exportUserData, deleteUserAccount } = require('../utils/accountData');
+const { recordAudit, diff } = require('../utils/audit');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Response for each failed OTP verification outcome
+const OTP_FAILURES = {
+  invalid: { status: 400, message: 'Invalid verification code' },
+  expired: { status: 400, message: 'Verification code has expired, please request a new one' },
+  locked: { status: 429, message: 'Too many incorrect attempts, please request a new code' }
+};
 
 // @route   POST api/auth/register
 // @desc    Register user
 // @access  Public
-router.post('/register', [
+router.post('/register', rateLimit('auth'), [
   check('name', 'Name is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
@@ -26,7 +49,9 @@ router.post('/register', [
 
     let user = await User.findOne({ email });
     if (user) {
-      return res.status(400).json({ message: 'User already exists' });
+      return res.status(400).json({
+        message: 'User already exists. Log in and use POST /api/auth/roles to add another role'
+      });
     }
 
     user = new User({
@@ -38,26 +63,35 @@ router.post('/register', [
       farmDetails: role === 'farmer' ? farmDetails : undefined
     });
 
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-
     await user.save();
 
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    // Registration should not fail because the mail provider is down
+    sendVerificationEmail(user).catch(err => {
+      console.error('Error sending verification email:', err.message);
+    });
+
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        roles: user.roles,
         farmDetails: user.farmDetails
       }
     });
   } catch (err) {
     console.error(err.message);
+    // A concurrent request registered the same account first
+    if (err.code === 11000) {
+      return res.status(400).json({
+        message: 'User already exists. Log in and use POST /api/auth/roles to add another role'
+      });
+    }
     res.status(500).json({ message: 'Server Error' });
   }
 });
@@ -65,7 +99,7 @@ router.post('/register', [
 // @route   POST api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', [
+router.post('/login', rateLimit('auth'), [
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password is required').exists()
 ], async (req, res) => {
@@ -82,24 +116,50 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+      });
+    }
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        target: { type: 'User', id: user._id },
+        metadata: { method: 'password', failedAttempts: user.failedLoginAttempts, locked: user.isLocked() }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    await user.resetLoginAttempts();
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'User', id: user._id },
+      metadata: { method: 'password' }
+    });
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        roles: user.roles,
         farmDetails: user.farmDetails
       }
     });
@@ -122,4 +182,667 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   GET api/auth/me/export
+// @desc    Download everything stored about the current user
+// @access  Private
+router.get('/me/export', protect, rateLimit('export'), async (req, res) => {
+  try {
+    const data = await exportUserData(req.user._id);
+    const fileName = `sabzee-export-${req.user.id}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type('application/json');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/auth/me/activity
+// @desc    Account activity: actions by or on the current user
+// @access  Private
+router.get('/me/activity', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = {
+      $or: [
+        { actor: req.user._id },
+        { 'target.type': 'User', 'target.id': req.user._id }
+      ]
+    };
+
+    const activity = await AuditLog.find(query)
+      .select('action target changes ip userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      activity,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/auth/me
+// @desc    Delete the current user's account and personal data
+// @access  Private
+router.delete('/me', protect, [
+  check('confirm', 'Type DELETE to confirm account deletion').equals('DELETE')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Accounts with a password must re-enter it
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    await deleteUserAccount(user);
+
+    await recordAudit(req, {
+      action: 'account.delete',
+      target: { type: 'User', id: user._id }
+    });
+
+    res.json({ message: 'Account deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/roles
+// @desc    Add a role to the current account (e.g. a farmer who also buys)
+// @access  Private
+router.post('/roles', protect, [
+  check('role', 'Role is required').isIn(['farmer', 'consumer'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { role, farmDetails } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (user.hasRole(role)) {
+      return res.status(400).json({ message: `Account already has the ${role} role` });
+    }
+
+    if (role === 'farmer' && !farmDetails && !(user.farmDetails && user.farmDetails.farmName)) {
+      return res.status(400).json({ message: 'Farm details are required to sell as a farmer' });
+    }
+
+    const before = user.toObject();
+
+    user.roles = [...(user.roles || [user.role]), role];
+    if (role === 'farmer' && farmDetails) {
+      user.farmDetails = farmDetails;
+    }
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'account.role_add',
+      target: { type: 'User', id: user._id },
+      changes: diff(before, user, ['roles', 'farmDetails'])
+    });
+
+    res.json({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      roles: user.roles,
+      farmDetails: user.farmDetails
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/auth/role
+// @desc    Switch the active role of the current account
+// @access  Private
+router.put('/role', protect, [
+  check('role', 'Role is required').isIn(['farmer', 'consumer', 'admin'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!req.user.hasRole(req.body.role)) {
+      return res.status(403).json({ message: `Account does not have the ${req.body.role} role` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { role: req.body.role } },
+      { new: true }
+    ).select('-password');
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Verify email address using the emailed token
+// @access  Public
+router.post('/verify-email', rateLimit('auth'), [
+  check('token', 'Verification token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/verify-email/resend
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/verify-email/resend', protect, rateLimit('otp', { keyBy: 'user' }), async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ message: 'No email address on this account' });
+    }
+
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('auth'), [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const resetToken = signPasswordResetToken(user);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Sabzee password',
+        text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in 1 hour.\n\n` +
+          `${CLIENT_URL}/reset-password?token=${resetToken}\n\n` +
+          'If you did not request a password reset you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password using the emailed token
+// @access  Public
+router.post('/reset-password', rateLimit('auth'), [
+  check('token', 'Reset token is required').not().isEmpty(),
+  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyPasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    // The reset link was delivered to the inbox, which proves ownership
+    user.isVerified = true;
+    await user.save();
+
+    // Sign out every device that might be using the old password
+    await revokeUserSessions(user._id);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      target: { type: 'User', id: user._id }
+    });
+
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/otp/request
+// @desc    Text a one-time code for phone registration or login
+// @access  Public
+router.post('/otp/request', rateLimit('otp'), [
+  check('contactNumber', 'Contact number is required').not().isEmpty(),
+  check('purpose', 'Purpose must be register or login').isIn(['register', 'login'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const contactNumber = normalizePhone(req.body.contactNumber);
+    const { purpose } = req.body;
+
+    const existing = await User.findOne({ contactNumber, phoneVerified: true });
+
+    if (purpose === 'register' && existing) {
+      return res.status(400).json({ message: 'An account with this number already exists' });
+    }
+
+    if (purpose === 'login' && !existing) {
+      return res.status(404).json({ message: 'No account is registered with this number' });
+    }
+
+    const result = await sendOtp(contactNumber, purpose);
+    if (!result.sent) {
+      return otpThrottled(res, result.retryAfter);
+    }
+
+    res.json({ message: 'Verification code sent', contactNumber });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/otp/register
+// @desc    Register with a phone number and one-time code
+// @access  Public
+router.post('/otp/register', rateLimit('auth'), [
+  check('contactNumber', 'Contact number is required').not().isEmpty(),
+  check('code', 'Verification code is required').not().isEmpty(),
+  check('name', 'Name is required').not().isEmpty(),
+  check('role', 'Role is required').isIn(['farmer', 'consumer'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const contactNumber = normalizePhone(req.body.contactNumber);
+    const { code, name, role, farmDetails } = req.body;
+
+    if (await User.findOne({ contactNumber, phoneVerified: true })) {
+      return res.status(400).json({ message: 'An account with this number already exists' });
+    }
+
+    const outcome = await verifyOtp(contactNumber, 'register', code);
+    if (outcome !== 'valid') {
+      const failure = OTP_FAILURES[outcome];
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    const user = new User({
+      name,
+      role,
+      contactNumber,
+      phoneVerified: true,
+      // The code proves the user controls this number
+      isVerified: true,
+      farmDetails: role === 'farmer' ? farmDetails : undefined
+    });
+
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        contactNumber: user.contactNumber,
+        role: user.role,
+        roles: user.roles,
+        farmDetails: user.farmDetails
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    // A concurrent request registered the same account first
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'An account with this number already exists' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/otp/login
+// @desc    Authenticate with a phone number and one-time code
+// @access  Public
+router.post('/otp/login', rateLimit('auth'), [
+  check('contactNumber', 'Contact number is required').not().isEmpty(),
+  check('code', 'Verification code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const contactNumber = normalizePhone(req.body.contactNumber);
+
+    const user = await User.findOne({ contactNumber, phoneVerified: true });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const outcome = await verifyOtp(contactNumber, 'login', req.body.code);
+    if (outcome !== 'valid') {
+      const failure = OTP_FAILURES[outcome];
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'User', id: user._id },
+      metadata: { method: 'otp' }
+    });
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        contactNumber: user.contactNumber,
+        role: user.role,
+        roles: user.roles,
+        farmDetails: user.farmDetails
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/phone/link
+// @desc    Text a code to link a phone number to the current account
+// @access  Private
+router.post('/phone/link', protect, rateLimit('otp', { keyBy: 'ip+user' }), [
+  check('contactNumber', 'Contact number is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const contactNumber = normalizePhone(req.body.contactNumber);
+
+    const existing = await User.findOne({ contactNumber, phoneVerified: true });
+    if (existing && !existing._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'This number is linked to another account' });
+    }
+
+    const result = await sendOtp(contactNumber, 'link', req.user._id);
+    if (!result.sent) {
+      return otpThrottled(res, result.retryAfter);
+    }
+
+    res.json({ message: 'Verification code sent', contactNumber });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/phone/verify
+// @desc    Confirm the code and link the phone number for OTP login
+// @access  Private
+router.post('/phone/verify', protect, [
+  check('contactNumber', 'Contact number is required').not().isEmpty(),
+  check('code', 'Verification code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const contactNumber = normalizePhone(req.body.contactNumber);
+
+    const outcome = await verifyOtp(contactNumber, 'link', req.body.code, req.user._id);
+    if (outcome !== 'valid') {
+      const failure = OTP_FAILURES[outcome];
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    const existing = await User.findOne({ contactNumber, phoneVerified: true });
+    if (existing && !existing._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'This number is linked to another account' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { contactNumber, phoneVerified: true } },
+      { new: true }
+    ).select('-password');
+
+    await recordAudit(req, {
+      action: 'account.phone_link',
+      target: { type: 'User', id: user._id },
+      changes: diff(req.user, user, ['contactNumber', 'phoneVerified'])
+    });
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    // Another account verified the number first
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'This number is linked to another account' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public
+router.post('/refresh', rateLimit('auth'), [
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    req.authSession.revokedAt = Date.now();
+    await req.authSession.save();
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      target: { type: 'Session', id: req.authSession._id }
+    });
+
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, req.authSession._id);
+
+    await recordAudit(req, {
+      action: 'session.revoke_others',
+      target: { type: 'User', id: req.user._id },
+      metadata: { revoked: result.modifiedCount }
+    });
+    res.json({ message: 'Other sessions revoked', revoked: result.modifiedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revokedAt = Date.now();
+    await session.save();
+
+    await recordAudit(req, {
+      action: 'session.revoke',
+      target: { type: 'Session', id: session._id }
+    });
+
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Reject an OTP request while the number is throttled
+function otpThrottled(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Please wait ${retryAfter} seconds before requesting another code`,
+    retryAfter
+  });
+}
+
+// Email the user a link to verify their address
+function sendVerificationEmail(user) {
+  const verificationToken = signEmailVerificationToken(user);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Sabzee account',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n` +
+      `${CLIENT_URL}/verify-email?token=${verificationToken}`
+  });
+}
+
 module.exports = router; 
\ No newline at end of file
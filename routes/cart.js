@@ -6,7 +6,10 @@ const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
+const { scope, sameId } = require('../middleware/policy');
+const { reserve, release, getUserReservations, holdId } = require('../utils/stock');
 
 // Apply authentication middleware to all routes
 router.use(protect);
@@ -21,10 +24,10 @@ router.use(authorize('consumer'));
 router.get('/', async (req, res) => {
   try {
     // Find the user's cart, or create a new one if it doesn't exist
-    let cart = await Cart.findOne({ user: req.user.id })
+    let cart = await Cart.findOne(scope(req.user, 'Cart'))
       .populate({
         path: 'items.product',
-        select: 'name price images unit organic farmer',
+        select: 'name price priceTiers minOrderQuantity expiryDate markdownRules images unit organic farmer quantity reservedQuantity variants',
         populate: {
           path: 'farmer',
           select: 'name'
@@ -35,11 +38,27 @@ router.get('/', async (req, res) => {
       cart = {
         user: req.user.id,
         items: [],
-        total: 0
+        total: 0,
+        notices: []
       };
     }
 
-    res.json(cart);
+    // Items whose product no longer exists (removed before listings were
+    // archived instead) are dropped with a notice
+    if (cart.items.some(item => !item.product)) {
+      cart.items = cart.items.filter(item => item.product);
+      cart.notices.push({ message: 'An item in your cart is no longer sold and was removed' });
+      await cart.save();
+    }
+
+    const data = await withHolds(cart, req.user._id);
+
+    // Notices are shown once
+    if (cart.notices.length > 0) {
+      await Cart.updateOne({ _id: cart._id }, { $set: { notices: [] } });
+    }
+
+    res.json(data);
   } catch (error) {
     console.error('Error fetching cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -53,6 +72,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', [
   check('productId', 'Product ID is required').notEmpty(),
+  check('variantId', 'Invalid variant ID').optional().isMongoId(),
   check('quantity', 'Quantity must be at least 1').isInt({ min: 1 })
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -60,7 +80,8 @@ router.post('/', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { productId, quantity } = req.body;
+  const { productId, variantId } = req.body;
+  const quantity = Number(req.body.quantity);
 
   try {
     // Check if product exists and is available
@@ -69,16 +90,35 @@ router.post('/', [
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    if (product.status !== 'available') {
+    if (product.status !== 'available' || product.takenDown || product.archived || product.isExpired() ||
+        await User.isSuspended(product.farmer)) {
       return res.status(400).json({ message: 'Product is not available' });
     }
 
-    if (product.quantity < quantity) {
+    // Farmers who also buy cannot purchase their own listings
+    if (sameId(product.farmer, req.user._id)) {
+      return res.status(400).json({ message: 'You cannot buy your own product' });
+    }
+
+    // Products sold in pack sizes need one chosen
+    if (product.variants.length > 0 && !product.getVariant(variantId)) {
+      return res.status(400).json({ message: 'Please choose a valid pack size for this product' });
+    }
+    const variant = product.variants.length > 0 ? product.getVariant(variantId)._id : null;
+
+    if (quantity < product.minOrderQuantity) {
+      return res.status(400).json({
+        message: `Minimum order quantity for this product is ${product.minOrderQuantity}`
+      });
+    }
+
+    // Hold the stock while it sits in the cart
+    if (!(await reserve(req.user._id, { product: product._id, variant, quantity }))) {
       return res.status(400).json({ message: 'Not enough stock available' });
     }
 
     // Find or create user's cart
-    let cart = await Cart.findOne({ user: req.user.id });
+    let cart = await Cart.findOne(scope(req.user, 'Cart'));
     
     if (!cart) {
       cart = new Cart({
@@ -88,9 +128,9 @@ router.post('/', [
       });
     }
 
-    // Check if product is already in the cart
-    const itemIndex = cart.items.findIndex(item => 
-      item.product.toString() === productId
+    // Check if product (in this pack size) is already in the cart
+    const itemIndex = cart.items.findIndex(item =>
+      item.product.toString() === productId && String(item.variant || '') === String(variant || '')
     );
 
     if (itemIndex > -1) {
@@ -100,6 +140,7 @@ router.post('/', [
       // Add new item to cart
       cart.items.push({
         product: productId,
+        variant,
         quantity
       });
     }
@@ -110,14 +151,14 @@ router.post('/', [
     const populatedCart = await Cart.findById(cart._id)
       .populate({
         path: 'items.product',
-        select: 'name price images unit organic farmer',
+        select: 'name price priceTiers minOrderQuantity expiryDate markdownRules images unit organic farmer quantity reservedQuantity variants',
         populate: {
           path: 'farmer',
           select: 'name'
         }
       });
 
-    res.json(populatedCart);
+    res.json(await withHolds(populatedCart, req.user._id));
   } catch (error) {
     console.error('Error adding to cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -142,7 +183,7 @@ router.put('/:itemId', [
 
   try {
     // Find user's cart
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(scope(req.user, 'Cart'));
     
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
@@ -160,11 +201,27 @@ router.put('/:itemId', [
       return res.status(404).json({ message: 'Product no longer exists' });
     }
 
-    if (product.status !== 'available') {
+    if (product.status !== 'available' || product.takenDown || product.archived || product.isExpired() ||
+        await User.isSuspended(product.farmer)) {
       return res.status(400).json({ message: 'Product is not available' });
     }
 
-    if (product.quantity < quantity) {
+    if (item.variant && !product.getVariant(item.variant)) {
+      return res.status(400).json({ message: 'This pack size is no longer sold' });
+    }
+
+    if (Number(quantity) < product.minOrderQuantity) {
+      return res.status(400).json({
+        message: `Minimum order quantity for this product is ${product.minOrderQuantity}`
+      });
+    }
+
+    const held = await reserve(req.user._id, {
+      product: product._id,
+      variant: item.variant,
+      quantity: Number(quantity)
+    });
+    if (!held) {
       return res.status(400).json({ message: 'Not enough stock available' });
     }
 
@@ -176,14 +233,14 @@ router.put('/:itemId', [
     const populatedCart = await Cart.findById(cart._id)
       .populate({
         path: 'items.product',
-        select: 'name price images unit organic farmer',
+        select: 'name price priceTiers minOrderQuantity expiryDate markdownRules images unit organic farmer quantity reservedQuantity variants',
         populate: {
           path: 'farmer',
           select: 'name'
         }
       });
 
-    res.json(populatedCart);
+    res.json(await withHolds(populatedCart, req.user._id));
   } catch (error) {
     console.error('Error updating cart:', error);
     
@@ -206,27 +263,33 @@ router.delete('/:itemId', async (req, res) => {
 
   try {
     // Find user's cart
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(scope(req.user, 'Cart'));
     
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
-    // Remove the item using the cart method
+    const item = cart.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in cart' });
+    }
+
+    // Remove the item using the cart method and give back its held stock
     await cart.removeItem(itemId);
+    await release(req.user._id, { product: item.product, variant: item.variant });
 
     // Populate cart for response
     const populatedCart = await Cart.findById(cart._id)
       .populate({
         path: 'items.product',
-        select: 'name price images unit organic farmer',
+        select: 'name price priceTiers minOrderQuantity expiryDate markdownRules images unit organic farmer quantity reservedQuantity variants',
         populate: {
           path: 'farmer',
           select: 'name'
         }
       });
 
-    res.json(populatedCart);
+    res.json(await withHolds(populatedCart, req.user._id));
   } catch (error) {
     console.error('Error removing from cart:', error);
     
@@ -239,4 +302,24 @@ router.delete('/:itemId', async (req, res) => {
   }
 });
 
+// Add each item's stock hold expiry and applicable (tier) unit price to the
+// cart response
+async function withHolds(cart, userId) {
+  const holds = await getUserReservations(userId);
+  const data = typeof cart.toObject === 'function' ? cart.toObject() : cart;
+
+  data.items = data.items.map((item, index) => {
+    const productId = item.product && item.product._id ? item.product._id : item.product;
+    const hold = productId && holds.get(holdId(productId, item.variant));
+    const product = cart.items[index].product;
+    return {
+      ...item,
+      unitPrice: product && product.unitPrice ? product.unitPrice(item.quantity, item.variant) : null,
+      heldUntil: hold ? hold.expiresAt : null
+    };
+  });
+
+  return data;
+}
+
 module.exports = router; 
\ No newline at end of file
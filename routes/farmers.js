@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const VerificationRequest = require('../models/VerificationRequest');
+const Certification = require('../models/Certification');
+const FarmerRating = require('../models/FarmerRating');
+const Subscription = require('../models/Subscription');
 const { protect, authorize } = require('../middleware/auth');
+const { sameId } = require('../middleware/policy');
+const { recordAudit, diff } = require('../utils/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { saveImage, saveDocument, removeFile } = require('../utils/storage');
+const { normalizePhone } = require('../utils/otp');
 
 // Set up multer for file upload
 const upload = multer({
@@ -16,6 +24,40 @@ const upload = multer({
   },
 });
 
+// Separate uploader for verification documents, which may be PDFs
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images and PDF documents are allowed'));
+    }
+  }
+});
+
+// What buyers see of a certificate
+const PUBLIC_CERTIFICATION_FIELDS = 'name issuer certificateNumber issuedDate expiryDate';
+
+// What anyone may see of a farmer
+const PUBLIC_PROFILE_FIELDS = 'name profileImage farmDetails kycStatus averageRating ratingCount ratingScores createdAt';
+
+// Orders of nearby farmers (?sort=)
+const NEARBY_SORTS = {
+  // $near already returns nearest first
+  distance: null,
+  rating: { averageRating: -1, ratingCount: -1 }
+};
+
+const VERIFICATION_DOCUMENT_FIELDS = {
+  landRecord: 'land_record',
+  idProof: 'id_proof',
+  fpoMembership: 'fpo_membership'
+};
+
 // @route   GET api/farmers/me
 // @desc    Get current farmer's profile
 // @access  Private (Farmer only)
@@ -25,8 +67,7 @@ router.get('/me',
   async (req, res) => {
     try {
       const farmer = await User.findById(req.user.id)
-        .select('-password')
-        .populate('ratings');
+        .select('-password');
 
       if (!farmer) {
         return res.status(404).json({ message: 'Farmer not found' });
@@ -72,29 +113,32 @@ router.put('/me',
         farmDetails: farmDetails
       };
 
+      const currentUser = await User.findById(req.user.id).select('-password');
+
+      // A new number has to be confirmed again (POST /api/auth/phone/link)
+      // before it can be used for phone login
+      const numberChanged = normalizePhone(updateData.contactNumber) !== normalizePhone(currentUser.contactNumber);
+      if (currentUser.phoneVerified && numberChanged) {
+        updateData.phoneVerified = false;
+      }
+
       // Handle profile image upload if provided
       if (req.file) {
-        // Delete old profile image from Cloudinary if exists
-        const currentUser = await User.findById(req.user.id);
-        if (currentUser.profileImage) {
-          const publicId = currentUser.profileImage.split('/').pop().split('.')[0];
-          await cloudinary.uploader.destroy(publicId);
-        }
+        const image = await saveImage(req.file, { folder: 'farmer-profiles' });
 
-        // Upload new profile image
-        const base64Data = req.file.buffer.toString('base64');
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload(
-            `data:${req.file.mimetype};base64,${base64Data}`,
-            { folder: 'farmer-profiles' },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-        });
+        // Remove the old profile image once the new one is stored
+        const oldImage = currentUser.profileImageRecord();
+        if (oldImage) {
+          await removeFile(oldImage).catch(err => console.error('Error deleting image:', err.message));
+        }
 
-        updateData.profileImage = result.secure_url;
+        updateData.profileImage = image.url;
+        updateData.profileImageFile = {
+          public_id: image.public_id,
+          thumbnailUrl: image.thumbnailUrl,
+          thumbnailId: image.thumbnailId,
+          storage: image.storage
+        };
       }
 
       const farmer = await User.findByIdAndUpdate(
@@ -103,9 +147,24 @@ router.put('/me',
         { new: true }
       ).select('-password');
 
+      // Listings carry a copy of the farm location for geo search
+      await Product.syncFarmLocation(farmer);
+
+      await recordAudit(req, {
+        action: 'profile.update',
+        target: { type: 'User', id: farmer._id },
+        changes: diff(currentUser, farmer, Object.keys(updateData))
+      });
+
       res.json(farmer);
     } catch (err) {
       console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.code === 11000) {
+        return res.status(400).json({ message: 'This number is linked to another account' });
+      }
       res.status(500).json({ message: 'Server Error' });
     }
   }
@@ -122,45 +181,47 @@ router.get('/analytics',
       // Get total products
       const totalProducts = await Product.countDocuments({ farmer: req.user.id });
 
+      // Orders containing the farmer's items (an order may include other farmers)
+      const sales = { 'items.farmer': req.user._id };
+      const delivered = { ...sales, status: { $in: ['delivered', 'completed'] } };
+
       // Get total orders
-      const totalOrders = await Order.countDocuments({ farmer: req.user.id });
+      const totalOrders = await Order.countDocuments(sales);
 
-      // Get total revenue
-      const orders = await Order.find({ 
-        farmer: req.user.id,
-        status: { $in: ['delivered', 'completed'] }
-      });
-      const totalRevenue = orders.reduce((acc, order) => acc + order.totalAmount, 0);
+      // Get total revenue, counting only the farmer's own items
+      const orders = await Order.find(delivered).select('items');
+      const totalRevenue = orders.reduce((acc, order) => acc + order.items
+        .filter(item => sameId(item.farmer, req.user._id))
+        .reduce((sum, item) => sum + item.price * item.quantity, 0), 0);
 
       // Get product performance
       const products = await Product.find({ farmer: req.user.id })
         .select('name totalSales');
 
       // Get recent orders
-      const recentOrders = await Order.find({ farmer: req.user.id })
+      const recentOrders = await Order.find(sales)
         .sort({ createdAt: -1 })
         .limit(5)
-        .populate('consumer', 'name')
-        .populate('items.product', 'name');
+        .populate('consumer', 'name');
 
       // Get monthly sales data
       const monthlyData = await Order.aggregate([
-        {
-          $match: {
-            farmer: req.user.id,
-            status: { $in: ['delivered', 'completed'] }
-          }
-        },
+        { $match: delivered },
+        { $unwind: '$items' },
+        { $match: { 'items.farmer': req.user._id } },
         {
           $group: {
             _id: {
               year: { $year: '$createdAt' },
               month: { $month: '$createdAt' }
             },
-            totalSales: { $sum: '$totalAmount' },
-            orderCount: { $sum: 1 }
+            totalSales: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+            orders: { $addToSet: '$_id' }
           }
         },
+        {
+          $project: { totalSales: 1, orderCount: { $size: '$orders' } }
+        },
         {
           $sort: { '_id.year': -1, '_id.month': -1 }
         }
@@ -181,20 +242,233 @@ router.get('/analytics',
   }
 );
 
+// @route   POST api/farmers/verification
+// @desc    Submit farm verification (KYC) documents
+// @access  Private (Farmer only)
+router.post('/verification',
+  protect,
+  authorize('farmer'),
+  (req, res, next) => {
+    documentUpload.fields([
+      { name: 'landRecord', maxCount: 3 },
+      { name: 'idProof', maxCount: 2 },
+      { name: 'fpoMembership', maxCount: 2 }
+    ])(req, res, err => {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const files = req.files || {};
+
+      if (!files.idProof || (!files.landRecord && !files.fpoMembership)) {
+        return res.status(400).json({
+          message: 'An ID proof and either a land record or FPO membership document are required'
+        });
+      }
+
+      if (req.user.kycStatus === 'pending') {
+        return res.status(400).json({ message: 'A verification request is already under review' });
+      }
+
+      if (req.user.kycStatus === 'approved') {
+        return res.status(400).json({ message: 'Your farm is already verified' });
+      }
+
+      // Store the documents
+      const uploadPromises = [];
+      for (const field of Object.keys(VERIFICATION_DOCUMENT_FIELDS)) {
+        for (const file of files[field] || []) {
+          uploadPromises.push(saveDocument(file, { folder: 'farmer-verification' })
+            .then(stored => ({ type: VERIFICATION_DOCUMENT_FIELDS[field], ...stored })));
+        }
+      }
+
+      const documents = await Promise.all(uploadPromises);
+
+      const verification = new VerificationRequest({
+        farmer: req.user.id,
+        documents,
+        notes: req.body.notes
+      });
+
+      await verification.save();
+      await User.findByIdAndUpdate(req.user.id, { $set: { kycStatus: 'pending' } });
+
+      res.status(201).json(verification);
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/farmers/verification
+// @desc    Get the status of the farmer's latest verification request
+// @access  Private (Farmer only)
+router.get('/verification',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    try {
+      const verification = await VerificationRequest.findOne({ farmer: req.user.id })
+        .sort({ createdAt: -1 });
+
+      res.json({
+        kycStatus: req.user.kycStatus,
+        verification
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   POST api/farmers/certifications
+// @desc    Submit an organic certificate for admin approval
+// @access  Private (Farmer only)
+router.post('/certifications',
+  protect,
+  authorize('farmer'),
+  (req, res, next) => {
+    documentUpload.single('certificate')(req, res, err => {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      next();
+    });
+  },
+  [
+    check('name', 'Certificate name is required').not().isEmpty(),
+    check('issuer', 'Issuing body is required').not().isEmpty(),
+    check('certificateNumber', 'Certificate number is required').not().isEmpty(),
+    check('issuedDate', 'Valid issue date is required').isISO8601(),
+    check('expiryDate', 'Valid expiry date is required').isISO8601()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A copy of the certificate is required' });
+    }
+
+    const { name, issuer, certificateNumber, issuedDate, expiryDate } = req.body;
+
+    if (new Date(expiryDate) <= new Date(issuedDate)) {
+      return res.status(400).json({ message: 'Expiry date must be after the issue date' });
+    }
+
+    if (new Date(expiryDate) <= new Date()) {
+      return res.status(400).json({ message: 'This certificate has already expired' });
+    }
+
+    try {
+      const document = await saveDocument(req.file, { folder: 'farmer-certifications' });
+
+      const certification = new Certification({
+        farmer: req.user.id,
+        name,
+        issuer,
+        certificateNumber,
+        issuedDate: new Date(issuedDate),
+        expiryDate: new Date(expiryDate),
+        document
+      });
+
+      await certification.save();
+
+      res.status(201).json(certification);
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/farmers/certifications
+// @desc    Get the farmer's organic certificates
+// @access  Private (Farmer only)
+router.get('/certifications',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    try {
+      const certifications = await Certification.find({ farmer: req.user.id })
+        .sort({ createdAt: -1 });
+
+      res.json({
+        hasValidCertificate: certifications.some(certification => (
+          certification.status === 'approved' && certification.expiryDate > new Date()
+        )),
+        certifications
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/farmers/:id/certifications
+// @desc    Get a farmer's valid organic certificates
+// @access  Public
+router.get('/:id/certifications', async (req, res) => {
+  try {
+    const certifications = await Certification.find({
+      farmer: req.params.id,
+      status: 'approved',
+      expiryDate: { $gt: new Date() }
+    }).select(PUBLIC_CERTIFICATION_FIELDS);
+
+    res.json(certifications);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Farmer not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 // @route   GET api/farmers/nearby
-// @desc    Get nearby farmers
+// @desc    Get nearby farmers, nearest first or best rated first (?sort=rating)
 // @access  Public
 router.get('/nearby',
   async (req, res) => {
     try {
-      const { longitude, latitude, maxDistance = 10000 } = req.query;
+      const {
+        longitude,
+        latitude,
+        maxDistance = 10000,
+        verifiedOnly,
+        minRating,
+        sort = 'distance'
+      } = req.query;
 
       if (!longitude || !latitude) {
         return res.status(400).json({ message: 'Location coordinates are required' });
       }
 
-      const farmers = await User.find({
-        role: 'farmer',
+      if (!(sort in NEARBY_SORTS)) {
+        return res.status(400).json({ message: 'Sort must be distance or rating' });
+      }
+
+      const query = {
+        roles: 'farmer',
+        status: { $ne: 'suspended' },
         'farmDetails.location': {
           $near: {
             $geometry: {
@@ -204,9 +478,25 @@ router.get('/nearby',
             $maxDistance: parseInt(maxDistance)
           }
         }
-      })
-      .select('name farmDetails ratings averageRating')
-      .populate('ratings');
+      };
+
+      if (verifiedOnly === 'true') {
+        query.kycStatus = 'approved';
+      }
+
+      if (minRating) {
+        query.averageRating = { $gte: Number(minRating) };
+      }
+
+      const farmersQuery = User.find(query)
+        .select('name farmDetails kycStatus averageRating ratingCount ratingScores');
+
+      // An explicit sort replaces the distance order of $near
+      if (NEARBY_SORTS[sort]) {
+        farmersQuery.sort(NEARBY_SORTS[sort]);
+      }
+
+      const farmers = await farmersQuery;
 
       res.json(farmers);
     } catch (err) {
@@ -216,4 +506,198 @@ router.get('/nearby',
   }
 );
 
+// @route   POST api/farmers/:id/ratings
+// @desc    Rate a farmer for a delivered order (or update that rating)
+// @access  Private (Consumer only)
+router.post('/:id/ratings',
+  protect,
+  authorize('consumer'),
+  rateLimit('reviewWrite'),
+  [
+    check('order', 'A delivered order is required').isMongoId(),
+    ...FarmerRating.ASPECTS.map(aspect => (
+      check(aspect, `${aspect[0].toUpperCase()}${aspect.slice(1)} score must be between 1 and 5`).isInt({ min: 1, max: 5 })
+    )),
+    check('comment', 'Comment must be at most 1000 characters').optional().trim().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const farmer = await User.findOne({ _id: req.params.id, roles: 'farmer' }).select('_id');
+
+      if (!farmer) {
+        return res.status(404).json({ message: 'Farmer not found' });
+      }
+
+      const order = await Order.findOne({
+        _id: req.body.order,
+        consumer: req.user._id,
+        status: 'delivered',
+        'items.farmer': farmer._id
+      }).select('_id');
+
+      if (!order) {
+        return res.status(403).json({ message: 'You can only rate farmers for your delivered orders' });
+      }
+
+      let rating = await FarmerRating.findOne({ order: order._id, farmer: farmer._id });
+      const isNew = !rating;
+      if (isNew) {
+        rating = new FarmerRating({ farmer: farmer._id, user: req.user._id, order: order._id });
+      }
+
+      FarmerRating.ASPECTS.forEach(aspect => {
+        rating.scores[aspect] = req.body[aspect];
+      });
+      rating.comment = req.body.comment;
+      await rating.save();
+
+      await FarmerRating.refreshFarmerRating(farmer._id);
+
+      res.status(isNew ? 201 : 200).json(rating);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Farmer not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/farmers/:id/ratings
+// @desc    Get a farmer's ratings from buyers
+// @access  Public
+router.get('/:id/ratings', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { farmer: req.params.id };
+
+    const ratings = await FarmerRating.find(query)
+      .select('-order')
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await FarmerRating.countDocuments(query);
+
+    res.json({
+      ratings,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Farmer not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/farmers/:id/follow
+// @desc    Follow a farmer to hear about their new listings
+// @access  Private (Consumer only)
+router.post('/:id/follow',
+  protect,
+  authorize('consumer'),
+  async (req, res) => {
+    try {
+      const farmer = await User.findOne({
+        _id: req.params.id,
+        roles: 'farmer',
+        status: { $ne: 'suspended' }
+      }).select('_id');
+
+      if (!farmer) {
+        return res.status(404).json({ message: 'Farmer not found' });
+      }
+
+      const subscription = await Subscription.findOneAndUpdate(
+        { user: req.user._id, type: 'new_listing', product: null, farmer: farmer._id },
+        { $setOnInsert: { user: req.user._id, type: 'new_listing', farmer: farmer._id } },
+        { upsert: true, new: true }
+      );
+
+      res.status(201).json(subscription);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Farmer not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/farmers/:id/follow
+// @desc    Unfollow a farmer
+// @access  Private (Consumer only)
+router.delete('/:id/follow',
+  protect,
+  authorize('consumer'),
+  async (req, res) => {
+    try {
+      const result = await Subscription.deleteOne({
+        user: req.user._id,
+        type: 'new_listing',
+        farmer: req.params.id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ message: 'Not following this farmer' });
+      }
+
+      res.json({ message: 'Farmer unfollowed' });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Farmer not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/farmers/:id
+// @desc    Get a farmer's public profile with ratings and certificates
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const farmer = await User.findOne({
+      _id: req.params.id,
+      roles: 'farmer',
+      status: { $ne: 'suspended' }
+    }).select(PUBLIC_PROFILE_FIELDS);
+
+    if (!farmer) {
+      return res.status(404).json({ message: 'Farmer not found' });
+    }
+
+    const [certifications, productCount, followerCount] = await Promise.all([
+      Certification.find({
+        farmer: farmer._id,
+        status: 'approved',
+        expiryDate: { $gt: new Date() }
+      }).select(PUBLIC_CERTIFICATION_FIELDS),
+      Product.countDocuments({ farmer: farmer._id, takenDown: { $ne: true }, archived: { $ne: true }, status: 'available' }),
+      Subscription.countDocuments({ type: 'new_listing', farmer: farmer._id })
+    ]);
+
+    res.json({ ...farmer.toJSON(), certifications, productCount, followerCount });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Farmer not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const VerificationRequest = require('../models/VerificationRequest');
+const Certification = require('../models/Certification');
+const { protect } = require('../middleware/auth');
+const { can, deny } = require('../middleware/policy');
+const { privateFilePath, privateFileUrl } = require('../utils/storage');
+
+// @route   GET api/files/:id
+// @desc    Download a private document (KYC or certificate). Files kept by
+//          the local driver are sent directly, others redirect to a signed
+//          URL. The id may contain slashes.
+// @access  Private (Owning farmer or admin)
+router.get('/*', protect, async (req, res) => {
+  try {
+    const id = req.params[0];
+
+    const [request, certification] = await Promise.all([
+      VerificationRequest.findOne({ 'documents.public_id': id }).select('farmer documents'),
+      Certification.findOne({ 'document.public_id': id }).select('farmer document')
+    ]);
+
+    if (!request && !certification) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const allowed = request
+      ? can(req.user, 'read', 'VerificationRequest', request)
+      : can(req.user, 'read', 'Certification', certification);
+    if (!allowed) {
+      return deny(res);
+    }
+
+    const document = request
+      ? request.documents.find(stored => stored.public_id === id)
+      : certification.document;
+
+    res.set('Cache-Control', 'private, no-store');
+    const url = privateFileUrl(document);
+    if (url) {
+      return res.redirect(url);
+    }
+
+    const file = privateFilePath(id);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    res.sendFile(file, err => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: 'File not found' });
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
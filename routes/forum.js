@@ -4,6 +4,8 @@ const { check, validationResult } = require('express-validator');
 const ForumPost = require('../models/ForumPost');
 const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
+const { can, scope, deny } = require('../middleware/policy');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Apply protect and authorize middleware to all routes
 router.use(protect);
@@ -13,6 +15,7 @@ router.use(authorize('farmer'));
 // @desc    Create a new forum post
 // @access  Private (Farmers only)
 router.post('/',
+  rateLimit('forumWrite'),
   [
     check('title', 'Title is required').not().isEmpty().trim(),
     check('content', 'Content is required').not().isEmpty(),
@@ -50,13 +53,15 @@ router.get('/', async (req, res) => {
   try {
     const { sort = '-createdAt', page = 1, limit = 10 } = req.query;
 
-    const posts = await ForumPost.find()
+    const query = { takenDown: { $ne: true } };
+
+    const posts = await ForumPost.find(query)
       .sort(sort)
       .skip((page - 1) * parseInt(limit))
       .limit(parseInt(limit))
       .populate('author', 'name profileImage role');
 
-    const total = await ForumPost.countDocuments();
+    const total = await ForumPost.countDocuments(query);
 
     res.json({
       posts,
@@ -79,7 +84,7 @@ router.get('/:id', async (req, res) => {
       .populate('author', 'name profileImage role')
       .populate('comments.author', 'name profileImage role');
 
-    if (!post) {
+    if (!post || post.takenDown) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
@@ -114,8 +119,8 @@ router.put('/:id',
         return res.status(404).json({ message: 'Post not found' });
       }
 
-      if (post.author.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized to update this post' });
+      if (!can(req.user, 'update', 'ForumPost', post)) {
+        return deny(res);
       }
 
       post = await ForumPost.findByIdAndUpdate(
@@ -143,8 +148,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    if (post.author.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'Not authorized to delete this post' });
+    if (!can(req.user, 'delete', 'ForumPost', post)) {
+      return deny(res);
     }
 
     await post.deleteOne();
@@ -162,6 +167,7 @@ router.delete('/:id', async (req, res) => {
 // @desc    Add a comment to a post
 // @access  Private (Farmers only)
 router.post('/:id/comments',
+  rateLimit('forumWrite'),
   [
     check('content', 'Comment content is required').not().isEmpty()
   ],
@@ -218,8 +224,8 @@ router.delete('/:id/comments/:commentId', async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    if (comment.author.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'Not authorized to delete this comment' });
+    if (!can(req.user, 'delete', 'ForumComment', { post, comment })) {
+      return deny(res);
     }
 
     post.comments = post.comments.filter(
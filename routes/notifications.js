@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const Subscription = require('../models/Subscription');
+const { protect } = require('../middleware/auth');
+const { can, scope, deny } = require('../middleware/policy');
+
+router.use(protect);
+
+// @route   GET api/notifications
+// @desc    Get your notification inbox, newest first (?unread=true)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const query = scope(req.user, 'Notification');
+    if (unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .populate('product', 'name images status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...scope(req.user, 'Notification'), readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/notifications/subscriptions
+// @desc    Get the products you are waiting for and the farmers you follow
+// @access  Private
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id })
+      .populate('product', 'name images status')
+      .populate('farmer', 'name farmDetails.farmName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      backInStock: subscriptions.filter(subscription => subscription.type === 'back_in_stock'),
+      following: subscriptions.filter(subscription => subscription.type === 'new_listing')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...scope(req.user, 'Notification'), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!can(req.user, 'update', 'Notification', notification)) {
+      return deny(res);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!can(req.user, 'delete', 'Notification', notification)) {
+      return deny(res);
+    }
+
+    await notification.deleteOne();
+    res.json({ message: 'Notification removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
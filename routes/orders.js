@@ -5,7 +5,12 @@ const { check, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
-const { protect, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const { protect, authorize, requireVerified } = require('../middleware/auth');
+const { recordAudit, diff } = require('../utils/audit');
+const { can, scope, deny, sameId } = require('../middleware/policy');
+const { reserve, commitReservation, sellUnreserved } = require('../utils/stock');
+const { recordPurchase, cancelPurchase } = require('../utils/recommendations');
 
 // @route   POST api/orders
 // @desc    Create a new order
@@ -13,9 +18,11 @@ const { protect, authorize } = require('../middleware/auth');
 router.post('/',
   protect,
   authorize('consumer'),
+  requireVerified,
   [
     check('items', 'Items are required').isArray(),
     check('items.*.product', 'Product ID is required').not().isEmpty(),
+    check('items.*.variant', 'Invalid variant ID').optional().isMongoId(),
     check('items.*.quantity', 'Quantity is required').isNumeric(),
     check('paymentMethod', 'Payment method is required').isIn(['cash-on-delivery', 'online', 'bank_transfer']),
     check('shippingDetails', 'Shipping details are required').not().isEmpty(),
@@ -32,40 +39,84 @@ router.post('/',
       return res.status(400).json({ errors: errors.array() });
     }
 
+    let session;
     try {
       const { items, paymentMethod, shippingDetails, notes } = req.body;
 
-      // Validate products and calculate total
+      // Validate every product and calculate the total before any stock is taken
       let totalAmount = 0;
       const validatedItems = [];
 
       for (const item of items) {
         const product = await Product.findById(item.product);
-        if (!product) {
+        if (!product || product.archived) {
           return res.status(404).json({ message: `Product ${item.product} not found` });
         }
 
-        if (product.quantity < item.quantity) {
+        if (product.takenDown || await User.isSuspended(product.farmer)) {
+          return res.status(400).json({ message: `${product.name} is not available` });
+        }
+
+        if (sameId(product.farmer, req.user._id)) {
+          return res.status(400).json({ message: `You cannot buy your own product ${product.name}` });
+        }
+
+        if (product.isExpired()) {
+          return res.status(400).json({ message: `${product.name} has passed its expiry date` });
+        }
+
+        if (product.variants.length > 0 && !product.getVariant(item.variant)) {
+          return res.status(400).json({ message: `Please choose a valid pack size for ${product.name}` });
+        }
+
+        if (Number(item.quantity) < product.minOrderQuantity) {
+          return res.status(400).json({
+            message: `Minimum order quantity for ${product.name} is ${product.minOrderQuantity}`
+          });
+        }
+
+        const line = orderLine(product, item.variant, Number(item.quantity));
+
+        if (line.available < item.quantity) {
           return res.status(400).json({ message: `Insufficient quantity for ${product.name}` });
         }
 
         validatedItems.push({
           product: item.product,
           quantity: item.quantity,
-          price: product.price,
-          name: product.name
+          price: line.price,
+          farmer: product.farmer,
+          name: product.name,
+          variant: line.variant,
+          variantLabel: line.variantLabel,
+          sku: line.sku,
+          unit: line.unit,
+          image: product.coverImage()
         });
 
-        totalAmount += product.price * item.quantity;
+        totalAmount += line.price * item.quantity;
+      }
+
+      // Take the stock and create the order together, so a line that can no
+      // longer be filled leaves the other lines' stock untouched
+      session = await mongoose.startSession();
+      session.startTransaction();
 
-        // Update product quantity
-        product.quantity -= item.quantity;
-        await product.save();
+      for (const item of validatedItems) {
+        // Leave stock held in other buyers' carts untouched
+        const sold = await sellUnreserved({
+          product: item.product,
+          variant: item.variant,
+          quantity: Number(item.quantity)
+        }, session);
+        if (!sold) {
+          await session.abortTransaction();
+          return res.status(400).json({ message: `Insufficient quantity for ${item.name}` });
+        }
       }
 
       const order = new Order({
         consumer: req.user.id,
-        farmer: validatedItems[0].product.farmer, // Assuming all products are from same farmer
         items: validatedItems,
         totalAmount,
         paymentMethod,
@@ -73,12 +124,21 @@ router.post('/',
         notes
       });
 
-      await order.save();
+      await order.save({ session });
+
+      await session.commitTransaction();
+
+      await recordPurchase(order.items.map(item => item.product));
 
       res.status(201).json(order);
     } catch (err) {
+      if (session && session.inTransaction()) {
+        await session.abortTransaction();
+      }
       console.error(err.message);
       res.status(500).json({ message: 'Server Error' });
+    } finally {
+      if (session) session.endSession();
     }
   }
 );
@@ -88,17 +148,11 @@ router.post('/',
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    // Get all orders from database with populated fields
-    const orders = await Order.find()
+    // Admins see every order, farmers the orders they sell in, consumers their own.
+    // Items carry what was bought, so they show even if the listing is gone.
+    const orders = await Order.find(scope(req.user, 'Order'))
       .populate('consumer', 'name email')
-      .populate({
-        path: 'items.product',
-        select: 'name price images unit farmer',
-        populate: {
-          path: 'farmer',
-          select: 'name _id'
-        }
-      })
+      .populate('items.farmer', 'name')
       .sort({ createdAt: -1 });
 
     res.json(orders);
@@ -115,19 +169,14 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('consumer', 'name email')
-      .populate('farmer', 'name');
+      .populate('items.farmer', 'name');
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if the user is authorized to view this order
-    if (
-      req.user.role !== 'admin' &&
-      order.consumer.toString() !== req.user.id &&
-      order.farmer.toString() !== req.user.id
-    ) {
-      return res.status(401).json({ message: 'Not authorized' });
+    if (!can(req.user, 'read', 'Order', order)) {
+      return deny(res);
     }
 
     res.json(order);
@@ -142,10 +191,10 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   PUT api/orders/:id
 // @desc    Update order status
-// @access  Private (Farmer only)
+// @access  Private (Farmer or Admin)
 router.put('/:id',
   protect,
-  authorize('farmer'),
+  authorize('farmer', 'admin'),
   [
     check('status', 'Status is required').isIn(['confirmed', 'processing', 'shipped', 'delivered', 'cancelled'])
   ],
@@ -162,17 +211,30 @@ router.put('/:id',
         return res.status(404).json({ message: 'Order not found' });
       }
 
-      // Check if the farmer owns this order
-      if (order.farmer.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized' });
+      if (!can(req.user, 'update', 'Order', order)) {
+        return deny(res);
       }
 
+      const before = order.toObject();
+      const wasCancelled = order.status === 'cancelled';
+
       order.status = req.body.status;
       if (req.body.status === 'cancelled') {
         order.cancelReason = req.body.cancelReason;
       }
 
       await order.save();
+
+      // A cancelled order no longer counts towards "bought together"
+      if (!wasCancelled && order.status === 'cancelled') {
+        await cancelPurchase(order);
+      }
+
+      await recordAudit(req, {
+        action: 'order.status_change',
+        target: { type: 'Order', id: order._id },
+        changes: diff(before, order, ['status', 'cancelReason'])
+      });
       res.json(order);
     } catch (err) {
       console.error(err.message);
@@ -186,9 +248,8 @@ router.put('/:id',
  * @desc    Create an order from cart items
  * @access  Private (Consumer only)
  */
-router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+router.post('/checkout', protect, authorize('consumer'), requireVerified, async (req, res) => {
+  let session;
 
   try {
     const { paymentMethod, shippingDetails, notes } = req.body;
@@ -203,12 +264,12 @@ router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
     }
 
     // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id }).populate({
+    const cart = await Cart.findOne(scope(req.user, 'Cart')).populate({
       path: 'items.product',
-      select: 'name price images unit farmer quantity',
+      select: 'name price priceTiers minOrderQuantity expiryDate markdownRules images unit farmer quantity reservedQuantity variants archived takenDown',
       populate: {
         path: 'farmer',
-        select: 'name'
+        select: 'name status'
       }
     });
 
@@ -216,45 +277,100 @@ router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
       return res.status(400).json({ message: 'Your cart is empty' });
     }
 
-    // Group items by farmer
-    const itemsByFarmer = {};
+    // Make sure every item is still held for this buyer; holds that expired
+    // are taken again if the stock is still there
     for (const cartItem of cart.items) {
       const product = cartItem.product;
-      
+
       if (!product) {
         return res.status(404).json({ message: 'Product not found' });
       }
 
-      if (product.quantity < cartItem.quantity) {
-        return res.status(400).json({ 
-          message: `Insufficient quantity for ${product.name}. Available: ${product.quantity}, Requested: ${cartItem.quantity}` 
+      if (product.archived) {
+        return res.status(400).json({
+          message: `${product.name} is no longer sold, please remove it from your cart`
+        });
+      }
+
+      if (product.takenDown || product.farmer.status === 'suspended') {
+        return res.status(400).json({
+          message: `${product.name} is not available, please remove it from your cart`
+        });
+      }
+
+      if (product.isExpired()) {
+        return res.status(400).json({
+          message: `${product.name} has passed its expiry date, please remove it from your cart`
+        });
+      }
+
+      if (cartItem.variant && !product.getVariant(cartItem.variant)) {
+        return res.status(400).json({ message: `A pack size of ${product.name} is no longer sold` });
+      }
+
+      if (cartItem.quantity < product.minOrderQuantity) {
+        return res.status(400).json({
+          message: `Minimum order quantity for ${product.name} is ${product.minOrderQuantity}`
+        });
+      }
+
+      const held = await reserve(req.user._id, {
+        product: product._id,
+        variant: cartItem.variant,
+        quantity: cartItem.quantity
+      });
+      if (!held) {
+        const { available } = orderLine(product, cartItem.variant, cartItem.quantity);
+        return res.status(400).json({
+          message: `Insufficient quantity for ${product.name}. Available: ${available}, Requested: ${cartItem.quantity}`
         });
       }
+    }
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // Group items by farmer
+    const itemsByFarmer = {};
+    for (const cartItem of cart.items) {
+      const product = cartItem.product;
 
       const farmerId = product.farmer._id.toString();
       if (!itemsByFarmer[farmerId]) {
         itemsByFarmer[farmerId] = [];
       }
 
+      const line = orderLine(product, cartItem.variant, cartItem.quantity);
+
       itemsByFarmer[farmerId].push({
         product: product._id,
         quantity: cartItem.quantity,
-        price: product.price,
+        price: line.price,
         farmer: product.farmer._id,
-        name: product.name
+        name: product.name,
+        variant: line.variant,
+        variantLabel: line.variantLabel,
+        sku: line.sku,
+        unit: line.unit,
+        image: product.coverImage()
       });
 
-      // Update product quantity
-      product.quantity -= cartItem.quantity;
-      
-      // Update product totalSales
-      if (!product.totalSales) product.totalSales = 0;
-      product.totalSales += cartItem.quantity;
-      
-      await product.save({ session });
+      // Convert the hold into a sale (stock, reserved stock and totalSales)
+      const sold = await commitReservation(req.user._id, {
+        product: product._id,
+        variant: cartItem.variant,
+        quantity: cartItem.quantity
+      }, session);
+      if (!sold) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: `Stock for ${product.name} changed during checkout, please try again`
+        });
+      }
     }
 
-    // Create order for each farmer
+    // Create order for each farmer; the orders share the checkout id
+    const checkout = new mongoose.Types.ObjectId();
     const orders = [];
     for (const farmerId in itemsByFarmer) {
       const farmerItems = itemsByFarmer[farmerId];
@@ -266,7 +382,7 @@ router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
 
       const order = new Order({
         consumer: req.user.id,
-        farmer: farmerId,
+        checkout,
         items: farmerItems,
         totalAmount: farmerTotal,
         paymentMethod,
@@ -284,7 +400,9 @@ router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
     await cart.save({ session });
 
     await session.commitTransaction();
-    session.endSession();
+
+    // The whole cart counts as one purchase, across farmers
+    await recordPurchase(orders.flatMap(order => order.items.map(item => item.product)));
 
     res.status(201).json({ 
       success: true,
@@ -292,11 +410,40 @@ router.post('/checkout', protect, authorize('consumer'), async (req, res) => {
       orders: orders 
     });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
+    // A failed commit has already ended the transaction
+    if (session && session.inTransaction()) {
+      await session.abortTransaction();
+    }
     console.error('Error during checkout:', err);
     res.status(500).json({ message: 'Server error during checkout process' });
+  } finally {
+    if (session) session.endSession();
   }
 });
 
+// Price, unit and stock for a product line, taken from the chosen variant
+// when the product is sold in pack sizes. The price is the bulk tier price
+// for the quantity bought, if one applies.
+function orderLine(product, variantId, quantity) {
+  const variant = product.getVariant(variantId);
+  const price = product.unitPrice(quantity, variantId);
+
+  if (!variant) {
+    return {
+      price,
+      unit: product.unit,
+      available: product.availableQuantity
+    };
+  }
+
+  return {
+    price,
+    unit: variant.unit,
+    available: variant.availableQuantity,
+    variant: variant._id,
+    variantLabel: variant.label,
+    sku: variant.sku
+  };
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -4,6 +4,8 @@ const axios = require('axios');
 const { check, validationResult } = require('express-validator');
 const Prediction = require('../models/Prediction');
 const { protect, authorize } = require('../middleware/auth');
+const { can, scope, deny } = require('../middleware/policy');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Configuration
 const FLASK_API_URL = 'http://localhost:5001';
@@ -15,6 +17,7 @@ const USE_MOCK_API = true; // Set to true to use mock data if Python API is not
 router.post('/',
   protect,
   authorize('farmer'),
+  rateLimit('predictions'),
   [
     check('imageUrl', 'Image URL is required').isURL()
   ],
@@ -111,7 +114,7 @@ router.get('/',
   authorize('farmer'),
   async (req, res) => {
     try {
-      const predictions = await Prediction.find({ farmerId: req.user.id })
+      const predictions = await Prediction.find(scope(req.user, 'Prediction'))
         .sort({ createdAt: -1 });
 
       res.json(predictions);
@@ -136,9 +139,8 @@ router.get('/:id',
         return res.status(404).json({ message: 'Prediction not found' });
       }
 
-      // Check if the farmer owns this prediction
-      if (prediction.farmerId.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized' });
+      if (!can(req.user, 'read', 'Prediction', prediction)) {
+        return deny(res);
       }
 
       res.json(prediction);
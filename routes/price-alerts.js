@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const PriceAlert = require('../models/PriceAlert');
+const Product = require('../models/Product');
+const { protect, authorize } = require('../middleware/auth');
+const { can, scope, deny } = require('../middleware/policy');
+const { CATEGORIES } = require('../middleware/productValidation');
+const { parseLocation } = require('../utils/productSearch');
+
+const MAX_ACTIVE_ALERTS = 50;
+const DEFAULT_RADIUS_KM = 25;
+
+router.use(protect);
+router.use(authorize('consumer'));
+
+// @route   POST api/price-alerts
+// @desc    Get notified when a product, or any product in a category near
+//          you, is listed at or below a target price
+// @access  Private (Consumer only)
+router.post('/',
+  [
+    check('targetPrice', 'Target price must be a positive number').isFloat({ gt: 0 }),
+    check('product', 'Invalid product').optional().isMongoId(),
+    check('variant', 'Invalid variant').optional().isMongoId(),
+    check('category', 'Invalid category').optional().isIn(CATEGORIES),
+    check('product').custom((product, { req }) => {
+      if (!product === !req.body.category) {
+        throw new Error('Give either a product or a category');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { product: productId, variant, category, targetPrice } = req.body;
+
+      const activeAlerts = await PriceAlert.countDocuments({ user: req.user._id, active: true });
+      if (activeAlerts >= MAX_ACTIVE_ALERTS) {
+        return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_ALERTS} active price alerts` });
+      }
+
+      const alert = new PriceAlert({ user: req.user._id, targetPrice });
+
+      if (productId) {
+        const product = await Product.findById(productId).select('takenDown archived variants');
+        if (!product || product.takenDown || product.archived) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+        if (variant && !product.getVariant(variant)) {
+          return res.status(404).json({ message: 'Variant not found' });
+        }
+        alert.product = product._id;
+        alert.variant = variant;
+      } else {
+        const location = parseLocation(req.body);
+        if (!location) {
+          return res.status(400).json({ message: 'Category alerts need your longitude and latitude' });
+        }
+        alert.category = category;
+        alert.location = { type: 'Point', coordinates: [location.longitude, location.latitude] };
+        alert.radiusKm = location.radiusKm || DEFAULT_RADIUS_KM;
+      }
+
+      await alert.save();
+      res.status(201).json(alert);
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/price-alerts
+// @desc    Get your price alerts (?active=true for those not yet fired)
+// @access  Private (Consumer only)
+router.get('/', async (req, res) => {
+  try {
+    const query = scope(req.user, 'PriceAlert');
+    if (req.query.active === 'true') query.active = true;
+
+    const alerts = await PriceAlert.find(query)
+      .select('-notifiedProducts')
+      .populate('product', 'name price unit images status')
+      .sort({ createdAt: -1 });
+
+    res.json(alerts);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/price-alerts/:id
+// @desc    Delete a price alert
+// @access  Private (Consumer only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const alert = await PriceAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!can(req.user, 'delete', 'PriceAlert', alert)) {
+      return deny(res);
+    }
+
+    await alert.deleteOne();
+    res.json({ message: 'Alert removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
-const { protect, authorize } = require('../middleware/auth');
+const Certification = require('../models/Certification');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const PriceHistory = require('../models/PriceHistory');
+const Subscription = require('../models/Subscription');
+const Cart = require('../models/Cart');
+const { protect, authorize, requireVerified } = require('../middleware/auth');
+const { recordAudit, diff } = require('../utils/audit');
+const { can, scope, deny } = require('../middleware/policy');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createRules, updateRules } = require('../middleware/productValidation');
+const { FORMATS, formatOf, readRows, writeRows } = require('../utils/spreadsheet');
+const { saveImage, removeFile } = require('../utils/storage');
+const { releaseProduct } = require('../utils/stock');
+const {
+  buildProductFilter,
+  parseSort,
+  parseLocation,
+  findNearbyProducts,
+  searchProducts
+} = require('../utils/productSearch');
+const { relatedProducts, recommendFor } = require('../utils/recommendations');
+
+// Fields a farmer may change through PUT /api/products/:id
+const EDITABLE_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'price',
+  'unit',
+  'quantity',
+  'harvestDate',
+  'expiryDate',
+  'organic',
+  'priceTiers',
+  'minOrderQuantity',
+  'markdownRules'
+];
+
+// Columns of the catalogue spreadsheet (import and export). JSON columns
+// use the same format as the create route.
+const SHEET_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'price',
+  'unit',
+  'quantity',
+  'minOrderQuantity',
+  'priceTiers',
+  'variants',
+  'harvestDate',
+  'expiryDate',
+  'markdownRules',
+  'organic'
+];
+
+const MAX_IMPORT_ROWS = 500;
+
+// Tries at saving an edit while buyers' holds keep changing the stock
+const STOCK_SAVE_ATTEMPTS = 3;
+
+// The product changed since it was loaded, so the save did not apply
+const staleSave = err => (
+  err instanceof mongoose.Error.DocumentNotFoundError || err instanceof mongoose.Error.VersionError
+);
+
+const CERTIFICATE_REQUIRED = 'An approved, unexpired organic certificate is required to list organic produce';
+
+const MAX_PRODUCT_IMAGES = 10;
+const MAX_REVIEW_PHOTOS = 3;
+const MAX_PRICE_HISTORY_DAYS = 365;
+
+// Orders of reviews (?sort=)
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
 
 // Set up multer for file upload
 const upload = multer({
@@ -12,6 +93,32 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images are allowed'));
+    }
+  }
+});
+
+// Accept up to maxCount images in `field`, reporting upload problems
+// (wrong type, too large) as 400s
+const imageUpload = (field, maxCount) => (req, res, next) => {
+  upload.array(field, maxCount)(req, res, err => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => cb(null, !!formatOf(file.originalname))
 });
 
 // @route   POST api/products
@@ -20,16 +127,9 @@ const upload = multer({
 router.post('/',
   protect,
   authorize('farmer'),
-  upload.array('images', 5),
-  [
-    check('name', 'Name is required').not().isEmpty(),
-    check('description', 'Description is required').not().isEmpty(),
-    check('category', 'Category is required').isIn(['vegetables', 'fruits', 'grains', 'dairy', 'other']),
-    check('price', 'Price is required').isNumeric(),
-    check('unit', 'Unit is required').isIn(['kg', 'gram', 'piece', 'dozen', 'liter']),
-    check('quantity', 'Quantity is required').isNumeric(),
-    check('harvestDate', 'Harvest date is required').not().isEmpty()
-  ],
+  requireVerified,
+  imageUpload('images', 5),
+  createRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -38,92 +138,120 @@ router.post('/',
 
     try {
       const {
+        sku,
         name,
         description,
         category,
         price,
         unit,
         quantity,
-        harvestDate
+        harvestDate,
+        variants,
+        priceTiers,
+        minOrderQuantity,
+        expiryDate,
+        markdownRules,
+        organic
       } = req.body;
 
-      // Upload images to Cloudinary
-      const imagePromises = req.files.map(file => {
-        return new Promise((resolve, reject) => {
-          const base64Data = file.buffer.toString('base64');
-          cloudinary.uploader.upload(`data:${file.mimetype};base64,${base64Data}`,
-            { folder: 'products' },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve({ url: result.secure_url, public_id: result.public_id });
-            }
-          );
-        });
-      });
+      if (organic && !(await Certification.hasValidCertificate(req.user._id))) {
+        return res.status(400).json({ message: CERTIFICATE_REQUIRED });
+      }
 
-      const uploadedImages = await Promise.all(imagePromises);
+      const uploadedImages = await Promise.all(
+        (req.files || []).map(file => saveImage(file, { folder: 'products' }))
+      );
 
       const product = new Product({
         farmer: req.user.id,
+        location: Product.farmLocation(req.user),
+        sku,
         name,
         description,
         category,
         price,
         unit,
         quantity,
+        priceTiers,
+        minOrderQuantity,
         images: uploadedImages,
-        harvestDate: new Date(harvestDate)
+        harvestDate: new Date(harvestDate),
+        expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+        markdownRules,
+        organic
       });
 
+      if (variants) {
+        const variantError = product.applyVariants(variants);
+        if (variantError) {
+          return res.status(400).json({ message: variantError });
+        }
+      }
+
       await product.save();
       res.status(201).json(product);
     } catch (err) {
       console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.code === 11000) {
+        return res.status(400).json({ message: 'You already have a product with this SKU' });
+      }
       res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
 // @route   GET api/products
-// @desc    Get all products with filters
+// @desc    Get all products with filters. With longitude/latitude (and an
+//          optional radius in km) products are nearest first with distanceKm.
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const {
-      category,
-      minPrice,
-      maxPrice,
-      farmer,
-      search,
-      status,
-      sort,
-      page = 1,
-      limit = 10
-    } = req.query;
-
-    const query = {};
-
-    if (category) query.category = category;
-    if (farmer) query.farmer = farmer;
-    if (status) query.status = status;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+    const { search, sort, page = 1, limit = 10 } = req.query;
+
+    let location;
+    try {
+      location = parseLocation(req.query);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
     }
-    if (search) {
-      query.$text = { $search: search };
+
+    const sortOptions = parseSort(sort, location ? ['distanceKm'] : []);
+    if (sortOptions === false) {
+      return res.status(400).json({ message: 'Invalid sort field' });
+    }
+
+    // Hides taken-down, archived, expired and suspended farmers' listings
+    const query = await buildProductFilter(req.query);
+
+    if (location) {
+      if (search) {
+        return res.status(400).json({ message: 'Use /api/products/search to search by text near a location' });
+      }
+
+      const nearby = await findNearbyProducts(query, location, {
+        sort: sortOptions,
+        page: Number(page),
+        limit: Number(limit)
+      });
+
+      return res.json({
+        products: nearby.products,
+        page: Number(page),
+        pages: Math.ceil(nearby.total / limit),
+        total: nearby.total
+      });
     }
 
-    const sortOptions = {};
-    if (sort) {
-      const [field, order] = sort.split(':');
-      sortOptions[field] = order === 'desc' ? -1 : 1;
+    if (search) {
+      query.$text = { $search: search };
     }
 
     const products = await Product.find(query)
-      .populate('farmer', 'name farmDetails')
-      .sort(sortOptions)
+      .populate('farmer', 'name farmDetails kycStatus')
+      .sort(sortOptions ? { ...sortOptions, _id: 1 } : {})
       .skip((page - 1) * limit)
       .limit(Number(limit));
 
@@ -141,19 +269,256 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   POST api/products/import
+// @desc    Create or update listings from a CSV/XLSX spreadsheet, matched by SKU.
+//          With dryRun=true rows are only validated.
+// @access  Private (Farmers only)
+router.post('/import',
+  protect,
+  authorize('farmer'),
+  requireVerified,
+  sheetUpload.single('file'),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    try {
+      let rows;
+      try {
+        rows = await readRows(req.file.buffer, formatOf(req.file.originalname));
+      } catch (err) {
+        return res.status(400).json({ message: 'The file could not be read as a spreadsheet' });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({ message: 'The spreadsheet has no product rows' });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `A spreadsheet may contain at most ${MAX_IMPORT_ROWS} products` });
+      }
+
+      const skus = rows.map(({ data }) => data.sku).filter(Boolean);
+      const existing = await Product.find({ farmer: req.user._id, sku: { $in: skus } });
+      const productsBySku = new Map(existing.map(product => [product.sku, product]));
+
+      const certified = await Certification.hasValidCertificate(req.user._id);
+      const seenSkus = new Set();
+      const results = [];
+
+      for (const { rowNumber, data } of rows) {
+        const result = { row: rowNumber, sku: data.sku || null, errors: [] };
+        results.push(result);
+
+        if (!data.sku) {
+          result.errors.push('SKU is required');
+        } else if (seenSkus.has(data.sku)) {
+          result.errors.push(`SKU ${data.sku} appears more than once`);
+        }
+        seenSkus.add(data.sku);
+
+        // Same rules as POST /api/products
+        const rowReq = { body: data };
+        for (const rule of createRules) {
+          await rule.run(rowReq);
+        }
+        result.errors.push(...validationResult(rowReq).array().map(error => error.msg));
+        if (rowReq.body.organic && !certified) {
+          result.errors.push(CERTIFICATE_REQUIRED);
+        }
+        if (result.errors.length > 0) continue;
+
+        const fields = {};
+        for (const field of EDITABLE_FIELDS) {
+          if (rowReq.body[field] !== undefined) fields[field] = rowReq.body[field];
+        }
+
+        let product = productsBySku.get(data.sku);
+        result.action = product ? 'update' : 'create';
+        if (product) {
+          product.set(fields);
+        } else {
+          product = new Product({ ...fields, farmer: req.user._id, location: Product.farmLocation(req.user) });
+        }
+
+        if (rowReq.body.variants) {
+          const variantError = product.applyVariants(rowReq.body.variants);
+          if (variantError) result.errors.push(variantError);
+        }
+
+        if (result.errors.length === 0) {
+          try {
+            await product.validate();
+          } catch (err) {
+            result.errors.push(...Object.values(err.errors || {}).map(error => error.message));
+          }
+        }
+
+        if (result.errors.length > 0) {
+          delete result.action;
+        } else if (!dryRun) {
+          try {
+            await product.save();
+            result.product = product._id;
+          } catch (err) {
+            if (!staleSave(err)) throw err;
+            delete result.action;
+            result.errors.push('Stock changed while importing; import this row again');
+          }
+        }
+      }
+
+      const summary = {
+        total: results.length,
+        created: results.filter(result => result.action === 'create').length,
+        updated: results.filter(result => result.action === 'update').length,
+        failed: results.filter(result => result.errors.length > 0).length
+      };
+
+      if (!dryRun) {
+        await recordAudit(req, {
+          action: 'product.import',
+          target: { type: 'User', id: req.user._id },
+          metadata: { file: req.file.originalname, ...summary }
+        });
+      }
+
+      res.json({ dryRun, summary, rows: results });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/products/export
+// @desc    Download the farmer's catalogue as CSV or XLSX (format=csv|xlsx)
+// @access  Private (Farmers only)
+router.get('/export',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    const format = req.query.format || 'xlsx';
+    if (!FORMATS[format]) {
+      return res.status(400).json({ message: 'Format must be csv or xlsx' });
+    }
+
+    try {
+      const products = await Product.find(scope(req.user, 'Product')).sort({ createdAt: 1 });
+      const file = await writeRows(SHEET_COLUMNS, products.map(toSheetRow), format, 'Products');
+
+      res.set('Content-Type', FORMATS[format]);
+      res.attachment(`products.${format}`);
+      res.send(file);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/products/archived
+// @desc    Get the farmer's archived products, most recently archived first
+// @access  Private (Farmers only)
+router.get('/archived',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    try {
+      const products = await Product.find({ ...scope(req.user, 'Product'), archived: true })
+        .sort({ archivedAt: -1 });
+
+      res.json(products);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/products/search
+// @desc    Search products with facet counts (category, unit, organic, price,
+//          rating, farmer and, given longitude/latitude, distance)
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    res.json(await searchProducts(req.query));
+  } catch (err) {
+    console.error(err.message);
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/products/recommended
+// @desc    Personalised suggestions from past orders, the season and, with
+//          longitude/latitude (and an optional radius in km), location
+// @access  Private (Consumer only)
+router.get('/recommended',
+  protect,
+  authorize('consumer'),
+  async (req, res) => {
+    try {
+      const location = parseLocation(req.query);
+      const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+      res.json(await recommendFor(req.user._id, { location, limit }));
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   GET api/products/:id/related
+// @desc    Products frequently bought together with this one, then similar ones
+// @access  Public
+router.get('/:id/related', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('takenDown archived category');
+
+    if (!product || product.takenDown || product.archived) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.json(await relatedProducts(product, { limit }));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 // @route   GET api/products/:id
 // @desc    Get product by ID
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
-      .populate('farmer', 'name farmDetails ratings averageRating');
+      .populate('farmer', 'name farmDetails kycStatus averageRating ratingCount');
 
-    if (!product) {
+    if (!product || product.takenDown || product.archived) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
+    // The farmer's valid organic certificates back the organic label
+    const certifications = await Certification.find({
+      farmer: product.farmer,
+      status: 'approved',
+      expiryDate: { $gt: new Date() }
+    }).select('name issuer certificateNumber issuedDate expiryDate');
+
+    res.json({ ...product.toJSON(), certifications });
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -169,15 +534,7 @@ router.get('/:id', async (req, res) => {
 router.put('/:id',
   protect,
   authorize('farmer'),
-  [
-    check('name', 'Name is required').optional().not().isEmpty(),
-    check('description', 'Description is required').optional().not().isEmpty(),
-    check('category', 'Invalid category').optional().isIn(['vegetables', 'fruits', 'grains', 'dairy', 'other']),
-    check('price', 'Price must be a number').optional().isNumeric(),
-    check('unit', 'Invalid unit').optional().isIn(['kg', 'gram', 'piece', 'dozen', 'liter']),
-    check('quantity', 'Quantity must be a number').optional().isNumeric(),
-    check('harvestDate', 'Invalid harvest date').optional().isISO8601()
-  ],
+  updateRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -191,33 +548,73 @@ router.put('/:id',
         return res.status(404).json({ message: 'Product not found' });
       }
 
-      // Check if the farmer owns the product
-      if (product.farmer.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized' });
+      if (!can(req.user, 'update', 'Product', product)) {
+        return deny(res);
       }
 
-      // Update the product
-      const updateData = { ...req.body };
+      // Update only the fields a farmer may edit
+      const updateData = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
       if (updateData.harvestDate) {
         updateData.harvestDate = new Date(updateData.harvestDate);
       }
 
-      product = await Product.findByIdAndUpdate(
-        req.params.id,
-        { $set: updateData },
-        { new: true }
-      );
+      if (updateData.organic && !(await Certification.hasValidCertificate(req.user._id))) {
+        return res.status(400).json({ message: CERTIFICATE_REQUIRED });
+      }
+
+      const before = product.toObject();
+
+      // Buyers' holds and sales may change the stock while this is saved;
+      // apply the edit again to a fresh copy when they do
+      for (let attempt = 1; ; attempt++) {
+        product.set(updateData);
+        if (req.body.variants) {
+          const variantError = product.applyVariants(req.body.variants);
+          if (variantError) {
+            return res.status(400).json({ message: variantError });
+          }
+        }
+
+        try {
+          await product.save();
+          break;
+        } catch (err) {
+          if (!staleSave(err) || attempt === STOCK_SAVE_ATTEMPTS) {
+            throw err;
+          }
+          product = await Product.findById(product._id);
+          if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+          }
+        }
+      }
+
+      const changedFields = Object.keys(updateData);
+      if (req.body.variants) changedFields.push('variants', 'price', 'unit', 'quantity');
+
+      await recordAudit(req, {
+        action: 'product.update',
+        target: { type: 'Product', id: product._id },
+        changes: diff(before, product, [...new Set(changedFields)])
+      });
 
       res.json(product);
     } catch (err) {
       console.error(err.message);
+      if (err.code === 11000) {
+        return res.status(400).json({ message: 'You already have a product with this SKU' });
+      }
       res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
 // @route   DELETE api/products/:id
-// @desc    Delete product
+// @desc    Archive a product. It is withdrawn from sale and taken out of
+//          buyers' carts, but kept for the orders and reviews that refer to it.
 // @access  Private (Farmer only)
 router.delete('/:id',
   protect,
@@ -230,41 +627,249 @@ router.delete('/:id',
         return res.status(404).json({ message: 'Product not found' });
       }
 
-      // Check if the farmer owns the product
-      if (product.farmer.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized' });
+      if (!can(req.user, 'delete', 'Product', product)) {
+        return deny(res);
       }
 
-      // Delete images from Cloudinary
-      const deletePromises = product.images.map(image => {
-        return new Promise((resolve, reject) => {
-          cloudinary.uploader.destroy(image.public_id, (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          });
-        });
+      if (product.archived) {
+        return res.status(400).json({ message: 'Product is already archived' });
+      }
+
+      product.archived = true;
+      product.archivedAt = Date.now();
+      await product.save();
+
+      // Nobody can buy it now: give back held stock, take it out of carts
+      // and drop requests to hear when it is back in stock
+      await releaseProduct(product._id);
+      const carts = await Cart.purgeProduct(
+        product,
+        `${product.name} is no longer sold and was removed from your cart`
+      );
+      await Subscription.deleteMany({ type: 'back_in_stock', product: product._id });
+
+      await recordAudit(req, {
+        action: 'product.archive',
+        target: { type: 'Product', id: product._id },
+        metadata: { name: product.name, carts }
       });
 
-      await Promise.all(deletePromises);
-      await Product.deleteOne({ _id: product._id });
+      res.json({ message: 'Product archived' });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/products/:id/unarchive
+// @desc    Put an archived product back on sale
+// @access  Private (Farmer only)
+router.put('/:id/unarchive',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (!can(req.user, 'update', 'Product', product)) {
+        return deny(res);
+      }
+
+      if (!product.archived) {
+        return res.status(400).json({ message: 'Product is not archived' });
+      }
+
+      product.archived = false;
+      product.archivedAt = undefined;
+      await product.save();
+
+      await recordAudit(req, {
+        action: 'product.unarchive',
+        target: { type: 'Product', id: product._id },
+        metadata: { name: product.name }
+      });
 
-      res.json({ message: 'Product removed' });
+      res.json(product);
     } catch (err) {
       console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   POST api/products/:id/images
+// @desc    Add images to a product
+// @access  Private (Farmer only)
+router.post('/:id/images',
+  protect,
+  authorize('farmer'),
+  imageUpload('images', 5),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (!can(req.user, 'update', 'Product', product)) {
+        return deny(res);
+      }
+
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'Please upload at least one image' });
+      }
+      if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` });
+      }
+
+      const uploadedImages = await Promise.all(files.map(file => saveImage(file, { folder: 'products' })));
+      product.images.push(...uploadedImages);
+      await product.save();
+
+      await recordAudit(req, {
+        action: 'product.image_add',
+        target: { type: 'Product', id: product._id },
+        metadata: { images: product.images.slice(-uploadedImages.length).map(image => image._id) }
+      });
+
+      res.status(201).json(product.images);
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   PUT api/products/:id/images/order
+// @desc    Reorder a product's images; the first is the cover image
+// @access  Private (Farmer only)
+router.put('/:id/images/order',
+  protect,
+  authorize('farmer'),
+  [
+    check('order', 'Order must be a list of image ids').isArray({ min: 1 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (!can(req.user, 'update', 'Product', product)) {
+        return deny(res);
+      }
+
+      // The order must list every image exactly once
+      const order = req.body.order.map(String);
+      const images = order.map(id => product.images.id(id));
+      if (order.length !== product.images.length
+        || new Set(order).size !== order.length
+        || images.some(image => !image)) {
+        return res.status(400).json({ message: 'Order must list each of the product\'s images exactly once' });
+      }
+
+      product.images = images.map(image => image.toObject());
+      await product.save();
+
+      await recordAudit(req, {
+        action: 'product.image_reorder',
+        target: { type: 'Product', id: product._id },
+        metadata: { order }
+      });
+
+      res.json(product.images);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/products/:id/images/:imageId
+// @desc    Delete one image of a product
+// @access  Private (Farmer only)
+router.delete('/:id/images/:imageId',
+  protect,
+  authorize('farmer'),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (!can(req.user, 'update', 'Product', product)) {
+        return deny(res);
+      }
+
+      const image = product.images.id(req.params.imageId);
+      if (!image) {
+        return res.status(404).json({ message: 'Image not found' });
+      }
+
+      await removeFile(image);
+      product.images.pull(image._id);
+      await product.save();
+
+      await recordAudit(req, {
+        action: 'product.image_delete',
+        target: { type: 'Product', id: product._id },
+        metadata: { image: image._id, url: image.url }
+      });
+
+      res.json(product.images);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
       res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
 // @route   POST api/products/:id/rate
-// @desc    Rate a product
+// @desc    Review a product (or update your review). Only consumers with a
+//          delivered order containing the product may review it.
 // @access  Private (Consumer only)
 router.post('/:id/rate',
   protect,
   authorize('consumer'),
+  rateLimit('reviewWrite'),
+  imageUpload('photos', MAX_REVIEW_PHOTOS),
   [
     check('rating', 'Rating must be between 1 and 5').isInt({ min: 1, max: 5 }),
-    check('review', 'Review is required').not().isEmpty()
+    check('review', 'Review is required').trim().not().isEmpty()
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -275,41 +880,267 @@ router.post('/:id/rate',
     try {
       const product = await Product.findById(req.params.id);
 
-      if (!product) {
+      if (!product || product.takenDown || product.archived) {
         return res.status(404).json({ message: 'Product not found' });
       }
 
-      // Check if user has already rated
-      const alreadyRated = product.ratings.find(
-        rating => rating.user.toString() === req.user.id
+      const order = await Order.findOne({
+        consumer: req.user._id,
+        status: 'delivered',
+        'items.product': product._id
+      }).sort({ updatedAt: -1 }).select('_id');
+
+      if (!order) {
+        return res.status(403).json({ message: 'Only customers who received this product can review it' });
+      }
+
+      let review = await Review.findOne({ product: product._id, user: req.user._id });
+      const isNew = !review;
+      const replacedPhotos = [];
+
+      const photos = await Promise.all(
+        (req.files || []).map(file => saveImage(file, { folder: 'reviews' }))
       );
 
-      if (alreadyRated) {
-        // Update existing rating
-        alreadyRated.rating = req.body.rating;
-        alreadyRated.review = req.body.review;
-        alreadyRated.date = Date.now();
+      if (isNew) {
+        review = new Review({ product: product._id, farmer: product.farmer, user: req.user._id, photos });
       } else {
-        // Add new rating
-        product.ratings.push({
-          user: req.user.id,
-          rating: req.body.rating,
-          review: req.body.review
-        });
+        review.editedAt = Date.now();
+        // New photos replace the earlier ones
+        if (photos.length > 0) {
+          replacedPhotos.push(...review.photos);
+          review.photos = photos;
+        }
       }
 
-      // Calculate average rating
-      const totalRatings = product.ratings.reduce((acc, item) => acc + item.rating, 0);
-      product.averageRating = totalRatings / product.ratings.length;
+      review.order = order._id;
+      review.verified = true;
+      review.rating = req.body.rating;
+      review.review = req.body.review;
+      await review.save();
 
-      await product.save();
+      await Review.refreshProductRating(product._id);
+      await Promise.all(replacedPhotos.map(photo => removeFile(photo)))
+        .catch(err => console.error('Error deleting image:', err.message));
 
-      res.json(product);
+      res.status(isNew ? 201 : 200).json(await Review.findById(review._id).select(Review.PUBLIC_FIELDS));
     } catch (err) {
       console.error(err.message);
+      if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
       res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
+// @route   GET api/products/:id/reviews
+// @desc    Get a product's reviews (?sort=recent|helpful|highest|lowest,
+//          ?rating=1-5, ?verifiedOnly=true)
+// @access  Public
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { sort = 'recent', rating, verifiedOnly, page = 1, limit = 10 } = req.query;
+
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ message: 'Invalid sort field' });
+    }
+
+    const product = await Product.findById(req.params.id).select('takenDown archived averageRating reviewCount');
+
+    if (!product || product.takenDown || product.archived) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: product._id, hidden: false };
+    if (rating) query.rating = Number(rating);
+    if (verifiedOnly === 'true') query.verified = true;
+
+    const reviews = await Review.find(query)
+      .select(Review.PUBLIC_FIELDS)
+      .populate('user', 'name')
+      .sort(REVIEW_SORTS[sort])
+      .skip((page - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      averageRating: product.averageRating,
+      reviewCount: product.reviewCount,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/products/:id/price-history
+// @desc    Get a product's listed prices over the last `days` (default 90),
+//          oldest first. `variant` narrows it to one pack size.
+// @access  Public
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    const days = Math.min(MAX_PRICE_HISTORY_DAYS, Math.max(1, parseInt(req.query.days, 10) || 90));
+    const { variant } = req.query;
+
+    const product = await Product.findById(req.params.id).select('takenDown archived price unit variants');
+
+    if (!product || product.takenDown || product.archived) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const source = variant ? product.getVariant(variant) : product;
+    if (!source) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const history = await PriceHistory.find({
+      product: product._id,
+      variant: variant ? source._id : null,
+      createdAt: { $gte: since }
+    })
+      .select('price createdAt')
+      .sort({ createdAt: 1 });
+
+    // The price in force at the start of the period, if it was set before it
+    const previous = await PriceHistory.findOne({
+      product: product._id,
+      variant: variant ? source._id : null,
+      createdAt: { $lt: since }
+    })
+      .select('price createdAt')
+      .sort({ createdAt: -1 });
+
+    const prices = [...(previous ? [previous] : []), ...history].map(entry => entry.price);
+
+    res.json({
+      currentPrice: source.price,
+      unit: source.unit,
+      lowestPrice: prices.length > 0 ? Math.min(...prices) : source.price,
+      highestPrice: prices.length > 0 ? Math.max(...prices) : source.price,
+      history: previous ? [previous, ...history] : history
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/products/:id/notify-me
+// @desc    Get an inbox notification when a sold-out product is back in stock
+// @access  Private (Consumer only)
+router.post('/:id/notify-me',
+  protect,
+  authorize('consumer'),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id).select('takenDown archived status');
+
+      if (!product || product.takenDown || product.archived) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (product.status !== 'sold_out') {
+        return res.status(400).json({ message: 'Only sold-out products can be watched' });
+      }
+
+      const subscription = await Subscription.findOneAndUpdate(
+        { user: req.user._id, type: 'back_in_stock', product: product._id, farmer: null },
+        { $setOnInsert: { user: req.user._id, type: 'back_in_stock', product: product._id } },
+        { upsert: true, new: true }
+      );
+
+      res.status(201).json(subscription);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/products/:id/notify-me
+// @desc    Stop waiting for a product to be back in stock
+// @access  Private (Consumer only)
+router.delete('/:id/notify-me',
+  protect,
+  authorize('consumer'),
+  async (req, res) => {
+    try {
+      const result = await Subscription.deleteOne({
+        user: req.user._id,
+        type: 'back_in_stock',
+        product: req.params.id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ message: 'Not watching this product' });
+      }
+
+      res.json({ message: 'You will no longer be notified about this product' });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// A product as a catalogue spreadsheet row. Products sold in pack sizes
+// leave price, unit and quantity to their variants.
+function toSheetRow(product) {
+  const hasVariants = product.variants.length > 0;
+  const tiers = priceTiers => priceTiers.map(({ minQuantity, price }) => ({ minQuantity, price }));
+  const day = date => (date ? date.toISOString().slice(0, 10) : '');
+
+  return {
+    sku: product.sku || '',
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    price: hasVariants ? '' : product.price,
+    unit: hasVariants ? '' : product.unit,
+    quantity: hasVariants ? '' : product.quantity,
+    minOrderQuantity: product.minOrderQuantity,
+    priceTiers: product.priceTiers.length > 0 ? JSON.stringify(tiers(product.priceTiers)) : '',
+    variants: hasVariants
+      ? JSON.stringify(product.variants.map(variant => ({
+        _id: variant._id,
+        label: variant.label,
+        size: variant.size,
+        unit: variant.unit,
+        price: variant.price,
+        quantity: variant.quantity,
+        sku: variant.sku,
+        priceTiers: tiers(variant.priceTiers)
+      })))
+      : '',
+    harvestDate: day(product.harvestDate),
+    expiryDate: day(product.expiryDate),
+    markdownRules: product.markdownRules.length > 0
+      ? JSON.stringify(product.markdownRules.map(({ hoursBeforeExpiry, percentOff }) => ({ hoursBeforeExpiry, percentOff })))
+      : '',
+    organic: product.organic ? 'true' : 'false'
+  };
+}
+
 module.exports = router; 
\ No newline at end of file
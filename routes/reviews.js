@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { protect, authorize } = require('../middleware/auth');
+const { can, deny, sameId } = require('../middleware/policy');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordAudit } = require('../utils/audit');
+const { removeFile } = require('../utils/storage');
+
+// Reviews are created and listed under /api/products/:id; these routes act
+// on a single review.
+router.use(protect);
+
+// @route   PUT api/reviews/:id/reply
+// @desc    Reply publicly to a review of one of your products
+// @access  Private (Farmer only)
+router.put('/:id/reply',
+  authorize('farmer'),
+  [
+    check('text', 'Reply is required').trim().not().isEmpty(),
+    check('text', 'Reply must be at most 1000 characters').isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const review = await Review.findById(req.params.id);
+
+      if (!review || review.hidden) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      if (!sameId(review.farmer, req.user._id)) {
+        return deny(res);
+      }
+
+      review.reply = { text: req.body.text, repliedAt: Date.now() };
+      await review.save();
+
+      await recordAudit(req, {
+        action: 'review.reply',
+        target: { type: 'Review', id: review._id },
+        metadata: { product: review.product }
+      });
+
+      res.json(await Review.findById(review._id).select(Review.PUBLIC_FIELDS));
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/reviews/:id/reply
+// @desc    Remove your reply to a review
+// @access  Private (Farmer only)
+router.delete('/:id/reply', authorize('farmer'), async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (!sameId(review.farmer, req.user._id)) {
+      return deny(res);
+    }
+
+    review.reply = undefined;
+    await review.save();
+
+    res.json({ message: 'Reply removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/reviews/:id/helpful
+// @desc    Mark/unmark a review as helpful
+// @access  Private
+router.post('/:id/helpful', async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.hidden) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (sameId(review.user, req.user._id)) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    const voteIndex = review.helpfulVotes.findIndex(vote => sameId(vote, req.user._id));
+
+    if (voteIndex === -1) {
+      review.helpfulVotes.push(req.user._id);
+    } else {
+      review.helpfulVotes.splice(voteIndex, 1);
+    }
+
+    await review.save();
+    res.json({ helpful: voteIndex === -1, helpfulCount: review.helpfulCount });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/reviews/:id/report
+// @desc    Report a review to the moderators
+// @access  Private
+router.post('/:id/report',
+  rateLimit('reviewWrite'),
+  [
+    check('reason', 'Reason is required').trim().not().isEmpty(),
+    check('reason', 'Reason must be at most 500 characters').isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const review = await Review.findById(req.params.id);
+
+      if (!review || review.hidden) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      if (review.reports.some(report => sameId(report.user, req.user._id))) {
+        return res.status(400).json({ message: 'You have already reported this review' });
+      }
+
+      review.reports.push({ user: req.user._id, reason: req.body.reason });
+      await review.save();
+
+      res.json({ message: 'Review reported' });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/reviews/:id
+// @desc    Delete your review
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (!can(req.user, 'delete', 'Review', review)) {
+      return deny(res);
+    }
+
+    await review.deleteOne();
+    await Review.refreshProductRating(review.product);
+    await Promise.all(review.photos.map(photo => removeFile(photo)))
+      .catch(err => console.error('Error deleting image:', err.message));
+
+    await recordAudit(req, {
+      action: 'review.delete',
+      target: { type: 'Review', id: review._id },
+      metadata: { product: review.product, author: review.user }
+    });
+
+    res.json({ message: 'Review removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
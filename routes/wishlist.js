@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const Subscription = require('../models/Subscription');
+const { protect, authorize } = require('../middleware/auth');
+const { scope, sameId } = require('../middleware/policy');
+
+const MAX_WISHLIST_ITEMS = 200;
+
+router.use(protect);
+router.use(authorize('consumer'));
+
+// The wishlist as returned to the client: saved products that still exist,
+// with whether the user asked to be told when each is back in stock
+const present = async (wishlist, userId) => {
+  const waiting = await Subscription.find({ user: userId, type: 'back_in_stock' }).distinct('product');
+
+  return {
+    items: (wishlist ? wishlist.items : [])
+      .filter(item => item.product && !item.product.takenDown && !item.product.archived)
+      .map(item => ({
+        product: item.product,
+        addedAt: item.addedAt,
+        notifyWhenInStock: waiting.some(productId => sameId(productId, item.product._id))
+      }))
+  };
+};
+
+const populateItems = {
+  path: 'items.product',
+  select: 'name price unit images status organic averageRating quantity reservedQuantity takenDown archived farmer',
+  populate: { path: 'farmer', select: 'name' }
+};
+
+// @route   GET api/wishlist
+// @desc    Get your wishlist
+// @access  Private (Consumer only)
+router.get('/', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne(scope(req.user, 'Wishlist')).populate(populateItems);
+    res.json(await present(wishlist, req.user._id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/wishlist
+// @desc    Save a product to your wishlist
+// @access  Private (Consumer only)
+router.post('/',
+  [
+    check('productId', 'Product ID is required').isMongoId()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findById(req.body.productId).select('takenDown archived');
+      if (!product || product.takenDown || product.archived) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      let wishlist = await Wishlist.findOne(scope(req.user, 'Wishlist'));
+      if (!wishlist) {
+        wishlist = new Wishlist({ user: req.user._id, items: [] });
+      }
+
+      if (!wishlist.items.some(item => sameId(item.product, product._id))) {
+        if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+          return res.status(400).json({ message: `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products` });
+        }
+        wishlist.items.push({ product: product._id });
+        await wishlist.save();
+      }
+
+      await wishlist.populate(populateItems);
+      res.json(await present(wishlist, req.user._id));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// @route   DELETE api/wishlist/:productId
+// @desc    Remove a product from your wishlist
+// @access  Private (Consumer only)
+router.delete('/:productId', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne(scope(req.user, 'Wishlist'));
+
+    if (!wishlist || !wishlist.items.some(item => sameId(item.product, req.params.productId))) {
+      return res.status(404).json({ message: 'Product not in wishlist' });
+    }
+
+    wishlist.items = wishlist.items.filter(item => !sameId(item.product, req.params.productId));
+    await wishlist.save();
+
+    await wishlist.populate(populateItems);
+    res.json(await present(wishlist, req.user._id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
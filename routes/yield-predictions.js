@@ -4,6 +4,8 @@ const axios = require('axios');
 const { check, validationResult } = require('express-validator');
 const YieldPrediction = require('../models/YieldPrediction');
 const { protect, authorize } = require('../middleware/auth');
+const { can, scope, deny } = require('../middleware/policy');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Configuration
 const FLASK_API_URL = 'http://localhost:5002';
@@ -15,6 +17,7 @@ const USE_MOCK_API = true; // Set to true to use mock data if Python API is not
 router.post('/',
   protect,
   authorize('farmer'),
+  rateLimit('predictions'),
   [
     check('latitude', 'Latitude is required').isFloat(),
     check('longitude', 'Longitude is required').isFloat(),
@@ -149,7 +152,7 @@ router.get('/',
   authorize('farmer'),
   async (req, res) => {
     try {
-      const yieldPredictions = await YieldPrediction.find({ farmerId: req.user.id })
+      const yieldPredictions = await YieldPrediction.find(scope(req.user, 'YieldPrediction'))
         .sort({ createdAt: -1 });
 
       res.json(yieldPredictions);
@@ -174,9 +177,8 @@ router.get('/:id',
         return res.status(404).json({ message: 'Yield prediction not found' });
       }
 
-      // Check if the farmer owns this prediction
-      if (yieldPrediction.farmerId.toString() !== req.user.id) {
-        return res.status(401).json({ message: 'Not authorized' });
+      if (!can(req.user, 'read', 'YieldPrediction', yieldPrediction)) {
+        return deny(res);
       }
 
       res.json(yieldPrediction);
@@ -2,28 +2,74 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const cloudinary = require('cloudinary').v2;
+const { rateLimit } = require('./middleware/rateLimit');
+const { UPLOAD_DIR, UPLOAD_URL } = require('./utils/storage');
 
 const app = express();
 
+// Use the client IP forwarded by a reverse proxy for rate limiting.
+// TRUST_PROXY is true, a number of proxy hops, or comma-separated
+// addresses/subnets; empty or false leaves it off.
+const parseTrustProxy = value => {
+  if (!value || value === 'false') return null;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(address => address.trim()).filter(Boolean);
+};
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== null) {
+  app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Cloudinary Configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Baseline limit on every write request; routes add stricter policies
+app.use('/api', rateLimit('write', {
+  skip: req => ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+}));
+
+// Public files (images) saved by the local storage driver; private
+// documents are served by routes/files.js
+app.use(UPLOAD_URL, express.static(UPLOAD_DIR));
+
+// One-off data migrations run at startup. Each is a no-op once done; one
+// failing is logged and does not hold back the others or the background jobs.
+const BACKFILLS = [
+  ['user roles', () => require('./models/User').backfillRoles()],
+  ['user email index', () => require('./models/User').makeEmailIndexSparse()],
+  ['product locations', () => require('./models/Product').backfillLocations()],
+  ['embedded ratings', () => require('./models/Review').migrateEmbeddedRatings()],
+  ['co-purchases', () => require('./utils/recommendations').backfillCoPurchases()],
+  ['order item images', () => require('./models/Order').backfillItemImages()],
+  ['private documents', () => require('./utils/storage').makeDocumentsPrivate()],
+  ['legacy certificates', () => require('./utils/certifications').migrateLegacyCertificates()],
+  ['uncertified organic listings', () => require('./utils/certifications').revertUncertifiedListings()]
+];
+
+const runBackfills = async () => {
+  for (const [name, backfill] of BACKFILLS) {
+    try {
+      await backfill();
+    } catch (err) {
+      console.error(`Backfill of ${name} failed:`, err.message);
+    }
+  }
+};
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(async () => {
+  console.log('Connected to MongoDB');
+  await runBackfills();
+  require('./jobs').startJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes will be imported here
@@ -35,6 +81,12 @@ app.use('/api/predictions', require('./routes/predictions'));
 app.use('/api/yield-predictions', require('./routes/yield-predictions'));
 app.use('/api/forum', require('./routes/forum'));
 app.use('/api/cart', require('./routes/cart'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/price-alerts', require('./routes/price-alerts'));
+app.use('/api/wishlist', require('./routes/wishlist'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/files', require('./routes/files'));
 
 // Basic error handling middleware
 app.use((err, req, res, next) => {
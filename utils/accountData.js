@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const ForumPost = require('../models/ForumPost');
+const Prediction = require('../models/Prediction');
+const YieldPrediction = require('../models/YieldPrediction');
+const Session = require('../models/Session');
+const Otp = require('../models/Otp');
+const VerificationRequest = require('../models/VerificationRequest');
+const Certification = require('../models/Certification');
+const Review = require('../models/Review');
+const FarmerRating = require('../models/FarmerRating');
+const PriceAlert = require('../models/PriceAlert');
+const PriceHistory = require('../models/PriceHistory');
+const Wishlist = require('../models/Wishlist');
+const Subscription = require('../models/Subscription');
+const Notification = require('../models/Notification');
+const CoPurchase = require('../models/CoPurchase');
+const { removeFile } = require('./storage');
+
+const ACCOUNT_FIELDS_EXCLUDED = '-password -failedLoginAttempts -lockUntil';
+
+const REDACTED_SHIPPING = {
+  fullName: 'Deleted user',
+  address: 'Redacted',
+  city: 'Redacted',
+  state: 'Redacted',
+  postalCode: 'Redacted',
+  phoneNumber: 'Redacted'
+};
+
+// Collect everything stored about a user into a single document
+exports.exportUserData = async userId => {
+  const [
+    profile,
+    purchases,
+    sales,
+    cart,
+    products,
+    forumPosts,
+    commentedPosts,
+    predictions,
+    yieldPredictions,
+    verificationRequests,
+    certifications,
+    reviews,
+    farmerRatingsGiven,
+    farmerRatingsReceived,
+    priceAlerts,
+    wishlist,
+    subscriptions,
+    notifications,
+    sessions
+  ] = await Promise.all([
+    User.findById(userId).select(ACCOUNT_FIELDS_EXCLUDED).lean(),
+    Order.find({ consumer: userId }).lean(),
+    Order.find({ 'items.farmer': userId }).select('-shippingDetails').lean(),
+    Cart.findOne({ user: userId }).lean(),
+    Product.find({ farmer: userId }).lean(),
+    ForumPost.find({ author: userId }).select('-comments -likes').lean(),
+    ForumPost.find({ 'comments.author': userId }).select('title comments').lean(),
+    Prediction.find({ farmerId: userId }).lean(),
+    YieldPrediction.find({ farmerId: userId }).lean(),
+    VerificationRequest.find({ farmer: userId }).lean(),
+    Certification.find({ farmer: userId }).lean(),
+    Review.find({ user: userId }).select('-helpfulVotes -reports').lean(),
+    FarmerRating.find({ user: userId }).lean(),
+    FarmerRating.find({ farmer: userId }).select('-user').lean(),
+    PriceAlert.find({ user: userId }).select('-notifiedProducts').lean(),
+    Wishlist.findOne({ user: userId }).lean(),
+    Subscription.find({ user: userId }).lean(),
+    Notification.find({ user: userId }).lean(),
+    Session.find({ user: userId }).select('-refreshTokenHash').lean()
+  ]);
+
+  const forumComments = commentedPosts.flatMap(post => post.comments
+    .filter(comment => comment.author.toString() === userId.toString())
+    .map(comment => ({ ...comment, post: { _id: post._id, title: post.title } })));
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    sessions,
+    orders: { purchases, sales },
+    cart,
+    products,
+    forum: { posts: forumPosts, comments: forumComments },
+    predictions,
+    yieldPredictions,
+    verificationRequests,
+    certifications,
+    reviews,
+    farmerRatings: { given: farmerRatingsGiven, received: farmerRatingsReceived },
+    priceAlerts,
+    wishlist,
+    subscriptions,
+    notifications
+  };
+};
+
+// Remove a user's account. Records other people depend on (orders, forum
+// threads) are kept but stripped of personal data; everything else is deleted.
+exports.deleteUserAccount = async user => {
+  const userId = user._id;
+
+  const products = await Product.find({ farmer: userId }).select('images');
+  const productIds = products.map(product => product._id);
+  const verifications = await VerificationRequest.find({ farmer: userId }).select('documents');
+  const certifications = await Certification.find({ farmer: userId }).select('document');
+  // Reviews written by the user and reviews of the user's products
+  const reviews = await Review.find({ $or: [{ user: userId }, { farmer: userId }] }).select('product photos');
+  const reviewedProductIds = [...new Set(reviews.map(review => review.product.toString()))]
+    .filter(productId => !productIds.some(id => id.toString() === productId));
+  const ratedFarmerIds = await FarmerRating.find({ user: userId }).distinct('farmer');
+
+  // Collect stored files before the documents that point at them go away
+  const storedFiles = [
+    ...products.flatMap(product => product.images),
+    ...verifications.flatMap(verification => verification.documents),
+    ...certifications.map(certification => certification.document),
+    ...reviews.flatMap(review => review.photos),
+    user.profileImageRecord()
+  ].filter(Boolean);
+
+  await Promise.all([
+    // Orders stay for the other party's records, without the buyer's address
+    Order.updateMany(
+      { consumer: userId },
+      { $set: { shippingDetails: REDACTED_SHIPPING }, $unset: { notes: '' } }
+    ),
+    // Forum content stays readable; the author reference now resolves to nobody
+    ForumPost.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    // Other buyers' carts must not keep pointing at deleted listings
+    Cart.updateMany(
+      { 'items.product': { $in: productIds } },
+      { $pull: { items: { product: { $in: productIds } } } }
+    ),
+    Wishlist.updateMany(
+      { 'items.product': { $in: productIds } },
+      { $pull: { items: { product: { $in: productIds } } } }
+    ),
+    Product.deleteMany({ farmer: userId }),
+    PriceHistory.deleteMany({ product: { $in: productIds } }),
+    CoPurchase.deleteMany({ $or: [{ product: { $in: productIds } }, { related: { $in: productIds } }] }),
+    PriceAlert.deleteMany({ $or: [{ user: userId }, { product: { $in: productIds } }] }),
+    Cart.deleteOne({ user: userId }),
+    Prediction.deleteMany({ farmerId: userId }),
+    YieldPrediction.deleteMany({ farmerId: userId }),
+    VerificationRequest.deleteMany({ farmer: userId }),
+    Certification.deleteMany({ farmer: userId }),
+    Review.deleteMany({ _id: { $in: reviews.map(review => review._id) } }),
+    // Other reviews keep their text but lose the user's votes and reports
+    Review.updateMany({ helpfulVotes: userId }, { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } }),
+    Review.updateMany({ 'reports.user': userId }, { $pull: { reports: { user: userId } }, $inc: { reportCount: -1 } }),
+    FarmerRating.deleteMany({ $or: [{ user: userId }, { farmer: userId }] }),
+    Wishlist.deleteOne({ user: userId }),
+    Subscription.deleteMany({ $or: [{ user: userId }, { farmer: userId }, { product: { $in: productIds } }] }),
+    Notification.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    Otp.deleteMany({ contactNumber: user.contactNumber })
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  await Promise.all([
+    ...reviewedProductIds.map(productId => Review.refreshProductRating(productId)),
+    ...ratedFarmerIds.map(farmerId => FarmerRating.refreshFarmerRating(farmerId))
+  ]);
+
+  // Failing to clean up an image should not resurrect the account
+  const results = await Promise.allSettled(storedFiles.map(file => removeFile(file)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error deleting image:', result.reason && result.reason.message));
+};
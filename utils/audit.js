@@ -0,0 +1,48 @@
+const AuditLog = require('../models/AuditLog');
+
+const toPlain = value => {
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Before/after values of the given fields that actually changed
+exports.diff = (before, after, fields) => {
+  const changes = { before: {}, after: {} };
+  const previous = toPlain(before) || {};
+  const current = toPlain(after) || {};
+
+  for (const field of fields) {
+    if (!isEqual(previous[field], current[field])) {
+      changes.before[field] = previous[field];
+      changes.after[field] = current[field];
+    }
+  }
+
+  return changes;
+};
+
+// Append an entry to the audit log. Failures are logged rather than thrown
+// so that auditing never breaks the action being audited.
+exports.recordAudit = async (req, { action, target, changes, metadata, actor }) => {
+  try {
+    const user = actor || req.user;
+
+    await AuditLog.create({
+      actor: user && user._id,
+      actorRole: user && user.role,
+      action,
+      target: {
+        type: target.type,
+        id: target.id
+      },
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (err) {
+    console.error('Error writing audit log:', err.message);
+  }
+};
@@ -0,0 +1,143 @@
+const Certification = require('../models/Certification');
+const Product = require('../models/Product');
+const { notifyUser } = require('./notify');
+
+const REMINDER_DAYS = parseInt(process.env.CERTIFICATE_REMINDER_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FARMER_CONTACT_FIELDS = 'name email contactNumber phoneVerified';
+
+const day = date => date.toISOString().slice(0, 10);
+
+// Take the organic flag off a farmer's listings unless another certificate
+// is still valid. Returns the number of listings changed.
+exports.revertOrganicListings = async farmerId => {
+  if (await Certification.hasValidCertificate(farmerId)) return 0;
+
+  const result = await Product.updateMany(
+    { farmer: farmerId, organic: true },
+    { $set: { organic: false } }
+  );
+  return result.modifiedCount;
+};
+
+// Move certificates from the old per-listing `certifications` field into
+// pending farmer certificates for an admin to review, then drop the field.
+// Entries without a number or expiry date cannot be reviewed and are dropped.
+exports.migrateLegacyCertificates = async () => {
+  const cursor = Product.collection.find(
+    { certifications: { $exists: true } },
+    { projection: { farmer: 1, certifications: 1, createdAt: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const product of cursor) {
+    for (const legacy of product.certifications || []) {
+      if (!legacy.certificationNumber || !legacy.expiryDate) continue;
+
+      const exists = await Certification.exists({
+        farmer: product.farmer,
+        certificateNumber: legacy.certificationNumber
+      });
+      if (exists) continue;
+
+      await Certification.create({
+        farmer: product.farmer,
+        name: legacy.name || 'Organic certificate',
+        issuer: 'Not recorded',
+        certificateNumber: legacy.certificationNumber,
+        issuedDate: legacy.issuedDate || product.createdAt || legacy.expiryDate,
+        expiryDate: legacy.expiryDate
+      });
+      migrated += 1;
+    }
+
+    await Product.collection.updateOne(
+      { _id: product._id },
+      { $unset: { certifications: '' } }
+    );
+  }
+
+  return migrated;
+};
+
+// Take the organic flag off listings of farmers without a valid certificate,
+// e.g. listings made organic before certificates were required. Returns the
+// number of listings changed.
+exports.revertUncertifiedListings = async () => {
+  const farmerIds = await Product.distinct('farmer', { organic: true });
+
+  let reverted = 0;
+  for (const farmerId of farmerIds) {
+    reverted += await exports.revertOrganicListings(farmerId);
+  }
+  return reverted;
+};
+
+// Warn farmers whose approved certificates run out within REMINDER_DAYS.
+// Each certificate is reminded about once. Run periodically.
+exports.sendExpiryReminders = async () => {
+  const now = new Date();
+  const certificates = await Certification.find({
+    status: 'approved',
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+    reminderSentAt: null
+  }).populate('farmer', FARMER_CONTACT_FIELDS);
+
+  let sent = 0;
+  for (const certificate of certificates) {
+    // Claim the reminder first so overlapping runs do not send it twice
+    const claimed = await Certification.updateOne(
+      { _id: certificate._id, reminderSentAt: null },
+      { $set: { reminderSentAt: now } }
+    );
+    if (claimed.modifiedCount === 0 || !certificate.farmer) continue;
+
+    try {
+      await notifyUser(certificate.farmer, {
+        subject: 'Your organic certificate expires soon',
+        text: `Your ${certificate.name} certificate (${certificate.certificateNumber}) expires on ` +
+          `${day(certificate.expiryDate)}. Upload the renewed certificate before then to keep your organic listings.`
+      });
+      sent += 1;
+    } catch (err) {
+      console.error('Error sending certificate reminder:', err.message);
+    }
+  }
+
+  return sent;
+};
+
+// Expire approved certificates past their expiry date and revert the
+// farmer's organic listings if no valid certificate is left. Run periodically.
+exports.expireCertifications = async () => {
+  const certificates = await Certification.find({
+    status: 'approved',
+    expiryDate: { $lte: new Date() }
+  }).populate('farmer', FARMER_CONTACT_FIELDS);
+
+  let expired = 0;
+  for (const certificate of certificates) {
+    const claimed = await Certification.updateOne(
+      { _id: certificate._id, status: 'approved' },
+      { $set: { status: 'expired' } }
+    );
+    if (claimed.modifiedCount === 0 || !certificate.farmer) continue;
+    expired += 1;
+
+    const reverted = await exports.revertOrganicListings(certificate.farmer._id);
+    try {
+      await notifyUser(certificate.farmer, {
+        subject: 'Your organic certificate has expired',
+        text: `Your ${certificate.name} certificate (${certificate.certificateNumber}) expired on ` +
+          `${day(certificate.expiryDate)}.` +
+          (reverted > 0 ? ` ${reverted} listing(s) are no longer shown as organic.` : '') +
+          ' Upload a renewed certificate to list organic produce again.'
+      });
+    } catch (err) {
+      console.error('Error sending certificate expiry notice:', err.message);
+    }
+  }
+
+  return expired;
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a message { from, to, subject, text } and return a promise.
+// Register a real provider (SMTP, SES, ...) with registerTransport and select it
+// with MAIL_TRANSPORT.
+const transports = {
+  console: async message => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+
+  file: async message => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+exports.registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Messages are only printed by default outside production; a production
+// server without a real transport must not silently drop them
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+exports.sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || defaultTransport();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'Sabzee <no-reply@sabzee.local>',
+    to,
+    subject,
+    text
+  });
+};
@@ -0,0 +1,12 @@
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+// Tell a user something by email, or by SMS for phone-only accounts
+exports.notifyUser = async (user, { subject, text }) => {
+  if (user.email) {
+    return sendMail({ to: user.email, subject, text: `Hi ${user.name},\n\n${text}` });
+  }
+  if (user.contactNumber && user.phoneVerified) {
+    return sendSms({ to: user.contactNumber, text: `Sabzee: ${text}` });
+  }
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { sendSms } = require('./sms');
+
+const OTP_EXPIRES_MINUTES = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MINUTES = 60;
+
+const hashCode = (contactNumber, code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${contactNumber}:${code}`)
+    .digest('hex');
+};
+
+// Strip formatting and default bare 10-digit numbers to India (+91)
+exports.normalizePhone = contactNumber => {
+  const digits = String(contactNumber).replace(/[^\d+]/g, '');
+  if (/^\d{10}$/.test(digits)) return `+91${digits}`;
+  if (/^0\d{10}$/.test(digits)) return `+91${digits.slice(1)}`;
+  if (/^\d{11,15}$/.test(digits)) return `+${digits}`;
+  return digits;
+};
+
+// Generate and text a new code. Returns { sent: true } or
+// { sent: false, retryAfter } (seconds) when the number is being throttled.
+exports.sendOtp = async (contactNumber, purpose, userId) => {
+  const now = Date.now();
+  let otp = await Otp.findOne({ contactNumber, purpose });
+
+  if (otp) {
+    const windowEnds = otp.windowStartedAt.getTime() + SEND_WINDOW_MINUTES * 60 * 1000;
+    if (windowEnds <= now) {
+      otp.windowStartedAt = now;
+      otp.sendCount = 0;
+    }
+
+    const nextAllowed = otp.lastSentAt
+      ? otp.lastSentAt.getTime() + RESEND_INTERVAL_SECONDS * 1000
+      : now;
+
+    if (otp.sendCount >= MAX_SENDS_PER_WINDOW) {
+      return { sent: false, retryAfter: Math.ceil((windowEnds - now) / 1000) };
+    }
+    if (nextAllowed > now) {
+      return { sent: false, retryAfter: Math.ceil((nextAllowed - now) / 1000) };
+    }
+  } else {
+    otp = new Otp({ contactNumber, purpose, windowStartedAt: now });
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  otp.user = userId;
+  otp.codeHash = hashCode(contactNumber, code);
+  otp.expiresAt = now + OTP_EXPIRES_MINUTES * 60 * 1000;
+  otp.attempts = 0;
+  otp.sendCount += 1;
+  otp.lastSentAt = now;
+  await otp.save();
+
+  await sendSms({
+    to: contactNumber,
+    text: `Your Sabzee verification code is ${code}. It expires in ${OTP_EXPIRES_MINUTES} minutes. Do not share it with anyone.`
+  });
+
+  return { sent: true };
+};
+
+// Check a code. Returns 'valid', 'invalid', 'expired' or 'locked'.
+// A valid code is consumed so it cannot be replayed.
+exports.verifyOtp = async (contactNumber, purpose, code, userId) => {
+  const otp = await Otp.findOne({ contactNumber, purpose });
+
+  if (!otp || !otp.codeHash || (userId && String(otp.user) !== String(userId))) {
+    return 'invalid';
+  }
+
+  if (otp.expiresAt <= new Date()) {
+    return 'expired';
+  }
+
+  if (otp.attempts >= MAX_VERIFY_ATTEMPTS) {
+    return 'locked';
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(contactNumber, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    otp.attempts += 1;
+    await otp.save();
+    return otp.attempts >= MAX_VERIFY_ATTEMPTS ? 'locked' : 'invalid';
+  }
+
+  // Consume the code but keep the document for resend throttling
+  otp.expiresAt = Date.now();
+  await otp.save();
+
+  return 'valid';
+};
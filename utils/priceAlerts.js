@@ -0,0 +1,110 @@
+const PriceAlert = require('../models/PriceAlert');
+const Product = require('../models/Product');
+const { buildProductFilter } = require('./productSearch');
+const { notifyUser } = require('./notify');
+
+const EARTH_RADIUS_KM = 6378.1;
+// Listings named in one category alert message
+const MAX_LISTINGS_PER_MESSAGE = 5;
+
+const CONTACT_FIELDS = 'name email contactNumber phoneVerified';
+
+const formatPrice = (price, unit) => `₹${price}${unit ? `/${unit}` : ''}`;
+
+// Fire product alerts whose product (or pack size) is now listed at or below
+// the target price. Each alert fires once.
+const checkProductAlerts = async () => {
+  const alerts = await PriceAlert.find({ active: true, product: { $ne: null } })
+    .populate('user', CONTACT_FIELDS)
+    .populate('product', 'name price unit variants status takenDown archived');
+
+  let sent = 0;
+  for (const alert of alerts) {
+    const { product } = alert;
+    if (!product || !alert.user) {
+      await PriceAlert.updateOne({ _id: alert._id }, { $set: { active: false } });
+      continue;
+    }
+
+    const source = product.getVariant(alert.variant) || product;
+    if (product.takenDown || product.archived || product.status !== 'available') continue;
+    if (!(source.price <= alert.targetPrice)) continue;
+
+    // Claim the alert first so overlapping runs do not send it twice
+    const claimed = await PriceAlert.updateOne(
+      { _id: alert._id, active: true },
+      { $set: { active: false, triggeredAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const name = source === product ? product.name : `${product.name} (${source.label})`;
+      await notifyUser(alert.user, {
+        subject: `Price drop: ${product.name}`,
+        text: `${name} is now ${formatPrice(source.price, source.unit)}, at or below your ` +
+          `target of ${formatPrice(alert.targetPrice)}.`
+      });
+      sent += 1;
+    } catch (err) {
+      console.error('Error sending price alert:', err.message);
+    }
+  }
+
+  return sent;
+};
+
+// Report listings in a category alert's category, within its radius, listed
+// at or below the target price and not reported before
+const checkCategoryAlerts = async () => {
+  const alerts = await PriceAlert.find({ active: true, category: { $ne: null } })
+    .populate('user', CONTACT_FIELDS);
+  if (alerts.length === 0) return 0;
+
+  const baseFilter = await buildProductFilter({ status: 'available' });
+
+  let sent = 0;
+  for (const alert of alerts) {
+    if (!alert.user) {
+      await PriceAlert.updateOne({ _id: alert._id }, { $set: { active: false } });
+      continue;
+    }
+
+    const products = await Product.find({
+      ...baseFilter,
+      _id: { $nin: alert.notifiedProducts },
+      category: alert.category,
+      price: { $lte: alert.targetPrice },
+      location: {
+        $geoWithin: { $centerSphere: [alert.location.coordinates, alert.radiusKm / EARTH_RADIUS_KM] }
+      }
+    })
+      .select('name price unit')
+      .sort({ price: 1 })
+      .limit(MAX_LISTINGS_PER_MESSAGE);
+    if (products.length === 0) continue;
+
+    await PriceAlert.updateOne(
+      { _id: alert._id },
+      { $addToSet: { notifiedProducts: { $each: products.map(product => product._id) } } }
+    );
+
+    try {
+      await notifyUser(alert.user, {
+        subject: `Price drop in ${alert.category}`,
+        text: `Listed near you at or below ${formatPrice(alert.targetPrice)}:\n` +
+          products.map(product => `- ${product.name}: ${formatPrice(product.price, product.unit)}`).join('\n')
+      });
+      sent += 1;
+    } catch (err) {
+      console.error('Error sending price alert:', err.message);
+    }
+  }
+
+  return sent;
+};
+
+// Send every due price alert. Run periodically.
+exports.checkPriceAlerts = async () => {
+  const sent = await checkProductAlerts();
+  return sent + await checkCategoryAlerts();
+};
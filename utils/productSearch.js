@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+
+// Fields products may be sorted by (?sort=field:asc|desc)
+const SORT_FIELDS = ['price', 'createdAt', 'averageRating', 'totalSales', 'expiryDate', 'name'];
+
+const EXPIRING_SOON_HOURS = 48;
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const DISTANCE_BUCKETS_KM = [0, 5, 10, 25, 50, 100];
+const RATING_BANDS = [4, 3, 2, 1];
+const MAX_PAGE_SIZE = 50;
+// Longer search words are cut to this length; only words up to
+// MAX_FUZZY_TERM_LENGTH letters are matched with typos, since each letter
+// adds three alternatives to the pattern
+const MAX_TERM_LENGTH = 32;
+const MAX_FUZZY_TERM_LENGTH = 12;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a search query, lower-cased, stripped of punctuation and cut to
+// MAX_TERM_LENGTH
+const searchTerms = q => String(q)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .slice(0, 8)
+  .map(term => [...term].slice(0, MAX_TERM_LENGTH).join(''));
+
+// Match words starting with the term, allowing one wrong, extra or missing
+// letter for terms of four to MAX_FUZZY_TERM_LENGTH letters ("tomoto" finds
+// "tomatoes").
+// \p{...} classes are evaluated by MongoDB's regex engine, not by JS.
+const fuzzyPrefix = term => {
+  const variants = new Set([escapeRegex(term)]);
+
+  if (term.length >= 4 && term.length <= MAX_FUZZY_TERM_LENGTH) {
+    for (let i = 0; i < term.length; i++) {
+      const before = escapeRegex(term.slice(0, i));
+      variants.add(`${before}.${escapeRegex(term.slice(i + 1))}`);
+      variants.add(`${before}${escapeRegex(term.slice(i + 1))}`);
+      variants.add(`${before}.${escapeRegex(term.slice(i))}`);
+    }
+  }
+
+  return new RegExp(`(^|[^\\p{L}\\p{N}])(${[...variants].join('|')})`, 'i');
+};
+
+const exactPrefix = term => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}`, 'i');
+
+// First pipeline stage for location queries: products nearest the point
+// first, with distanceKm set and other filters applied through `query`.
+// Uses the 2dsphere index on Product.location.
+const geoNear = ({ longitude, latitude, radiusKm }, query) => ({
+  $geoNear: {
+    near: { type: 'Point', coordinates: [longitude, latitude] },
+    key: 'location',
+    distanceField: 'distanceKm',
+    distanceMultiplier: 0.001,
+    spherical: true,
+    query,
+    ...(radiusKm && { maxDistance: radiusKm * 1000 })
+  }
+});
+
+const invalidRequest = message => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Label $bucket output ({ _id: lower bound }) with both ends of the range
+const bucketRanges = (buckets, boundaries, minKey, maxKey) => buckets.map(bucket => {
+  const index = boundaries.indexOf(bucket._id);
+  const isOverflow = index === -1;
+  return {
+    [minKey]: isOverflow ? boundaries[boundaries.length - 1] : bucket._id,
+    [maxKey]: isOverflow ? null : boundaries[index + 1],
+    count: bucket.count
+  };
+});
+
+// Buyer location from ?longitude=&latitude=[&radius=km], or null when not
+// given. Throws a 400 error for out-of-range values.
+exports.parseLocation = params => {
+  const { longitude, latitude, radius } = params;
+  if (longitude === undefined && latitude === undefined) return null;
+
+  const location = {
+    longitude: parseFloat(longitude),
+    latitude: parseFloat(latitude),
+    radiusKm: radius !== undefined ? parseFloat(radius) : null
+  };
+
+  if (!(Math.abs(location.longitude) <= 180) || !(Math.abs(location.latitude) <= 90)) {
+    throw invalidRequest('Valid longitude and latitude are required');
+  }
+  if (location.radiusKm !== null && !(location.radiusKm > 0)) {
+    throw invalidRequest('Radius must be a positive number of kilometres');
+  }
+
+  return location;
+};
+
+// Listings near a location, nearest first unless `sort` says otherwise
+exports.findNearbyProducts = async (query, location, { sort, page, limit }) => {
+  const [result] = await Product.aggregate([
+    geoNear(location, query),
+    {
+      $facet: {
+        products: [
+          ...(sort ? [{ $sort: { ...sort, _id: 1 } }] : []),
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const products = result.products.map(doc => Product.hydrate(doc));
+  await Product.populate(products, { path: 'farmer', select: 'name farmDetails kycStatus' });
+
+  return {
+    products: products.map((product, index) => ({
+      ...product.toJSON(),
+      distanceKm: result.products[index].distanceKm
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Parse ?sort=field:asc|desc against the whitelist. Returns a sort object,
+// null when no sort was asked for, or false when the field is not allowed.
+exports.parseSort = (sort, extraFields = []) => {
+  if (!sort) return null;
+
+  const [field, order = 'asc'] = String(sort).split(':');
+  if (![...SORT_FIELDS, ...extraFields].includes(field) || !['asc', 'desc'].includes(order)) {
+    return false;
+  }
+
+  return { [field]: order === 'desc' ? -1 : 1 };
+};
+
+// Filter shared by product listings and search: hides taken-down, archived,
+// expired and suspended farmers' listings and applies the optional query filters
+exports.buildProductFilter = async params => {
+  const {
+    category,
+    unit,
+    organic,
+    minPrice,
+    maxPrice,
+    minRating,
+    farmer,
+    status,
+    verifiedOnly,
+    expiringSoon
+  } = params;
+
+  const suspendedFarmers = await User.find({ status: 'suspended' }).distinct('_id');
+  const query = {
+    takenDown: { $ne: true },
+    archived: { $ne: true },
+    farmer: { $nin: suspendedFarmers },
+    // Expired produce is only listed when asked for explicitly
+    status: status || { $ne: 'expired' }
+  };
+
+  if (category) query.category = category;
+  if (unit) query.unit = unit;
+  if (organic === 'true' || organic === 'false') query.organic = organic === 'true';
+  if (farmer) {
+    query.farmer.$eq = mongoose.isValidObjectId(farmer) ? new mongoose.Types.ObjectId(farmer) : null;
+  }
+  if (verifiedOnly === 'true') {
+    query.farmer.$in = await User.find({ kycStatus: 'approved' }).distinct('_id');
+  }
+  // expiringSoon=true for the next 48 hours, or a number of hours
+  if (expiringSoon) {
+    const hours = expiringSoon === 'true' ? EXPIRING_SOON_HOURS : Number(expiringSoon);
+    if (hours > 0) {
+      query.expiryDate = { $gt: new Date(), $lte: new Date(Date.now() + hours * 60 * 60 * 1000) };
+    }
+  }
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = Number(minPrice);
+    if (maxPrice) query.price.$lte = Number(maxPrice);
+  }
+  if (minRating) query.averageRating = { $gte: Number(minRating) };
+
+  return query;
+};
+
+// Search products with facet counts. `q` is matched against names with typo
+// tolerance and against descriptions and categories by prefix; results are
+// sorted by relevance, then rating (or nearest first when only a location is
+// given) unless another sort is given.
+exports.searchProducts = async params => {
+  const { q } = params;
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.limit, 10) || 20));
+  const terms = q ? searchTerms(q) : [];
+  const location = exports.parseLocation(params);
+  const hasLocation = !!location;
+
+  const match = await exports.buildProductFilter(params);
+  if (terms.length > 0) {
+    match.$and = terms.map(term => ({
+      $or: [
+        { name: fuzzyPrefix(term) },
+        { description: exactPrefix(term) },
+        { category: exactPrefix(term) }
+      ]
+    }));
+  }
+
+  const pipeline = [
+    hasLocation ? geoNear(location, match) : { $match: match },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'farmer',
+        foreignField: '_id',
+        as: 'farmer',
+        pipeline: [{ $project: { name: 1, farmDetails: 1, kycStatus: 1 } }]
+      }
+    },
+    { $unwind: { path: '$farmer', preserveNullAndEmptyArrays: true } }
+  ];
+
+  if (terms.length > 0) {
+    // Whole-prefix name matches count most, typo matches less, and matches
+    // only in the description or category least
+    pipeline.push({
+      $addFields: {
+        relevance: {
+          $add: terms.map(term => ({
+            $switch: {
+              branches: [
+                { case: { $regexMatch: { input: '$name', regex: exactPrefix(term) } }, then: 3 },
+                { case: { $regexMatch: { input: '$name', regex: fuzzyPrefix(term) } }, then: 2 }
+              ],
+              default: 1
+            }
+          }))
+        }
+      }
+    });
+  }
+
+  let sort;
+  if (params.sort && params.sort !== 'relevance') {
+    sort = exports.parseSort(params.sort, hasLocation ? ['distanceKm'] : []);
+  } else {
+    if (terms.length > 0) {
+      sort = { relevance: -1, averageRating: -1 };
+    } else {
+      sort = hasLocation ? { distanceKm: 1 } : { createdAt: -1 };
+    }
+  }
+  if (sort === false) {
+    throw invalidRequest('Invalid sort field');
+  }
+  sort = { ...sort, _id: 1 };
+
+  const facets = {
+    products: [{ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }],
+    total: [{ $count: 'count' }],
+    category: [{ $sortByCount: '$category' }],
+    unit: [{ $sortByCount: '$unit' }],
+    organic: [{ $sortByCount: '$organic' }],
+    price: [{
+      $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'other', output: { count: { $sum: 1 } } }
+    }],
+    rating: [{
+      $group: RATING_BANDS.reduce((group, band) => ({
+        ...group,
+        [`atLeast${band}`]: { $sum: { $cond: [{ $gte: ['$averageRating', band] }, 1, 0] } }
+      }), { _id: null })
+    }],
+    farmers: [
+      { $group: { _id: '$farmer._id', name: { $first: '$farmer.name' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, name: 1 } },
+      { $limit: 20 }
+    ]
+  };
+
+  if (hasLocation) {
+    facets.distance = [{
+      $bucket: {
+        groupBy: '$distanceKm',
+        boundaries: DISTANCE_BUCKETS_KM,
+        default: 'other',
+        output: { count: { $sum: 1 } }
+      }
+    }];
+  }
+
+  pipeline.push({ $facet: facets });
+
+  const [result] = await Product.aggregate(pipeline);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  const ratingCounts = result.rating[0] || {};
+
+  // Rebuild documents so virtuals (available stock, markdowns) are included
+  const products = result.products.map(doc => ({
+    ...Product.hydrate({ ...doc, farmer: doc.farmer && doc.farmer._id }).toJSON(),
+    farmer: doc.farmer || null,
+    ...(doc.distanceKm !== undefined && { distanceKm: doc.distanceKm }),
+    ...(doc.relevance !== undefined && { relevance: doc.relevance })
+  }));
+
+  return {
+    products,
+    page,
+    pages: Math.ceil(total / limit),
+    total,
+    facets: {
+      category: result.category.map(bucket => ({ value: bucket._id, count: bucket.count })),
+      unit: result.unit.map(bucket => ({ value: bucket._id, count: bucket.count })),
+      organic: result.organic.map(bucket => ({ value: bucket._id, count: bucket.count })),
+      price: bucketRanges(result.price, PRICE_BUCKETS, 'min', 'max'),
+      rating: RATING_BANDS.map(band => ({ minRating: band, count: ratingCounts[`atLeast${band}`] || 0 })),
+      farmers: result.farmers.map(bucket => ({ value: bucket._id, name: bucket.name, count: bucket.count })),
+      ...(hasLocation && { distance: bucketRanges(result.distance, DISTANCE_BUCKETS_KM, 'minKm', 'maxKm') })
+    }
+  };
+};
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const CoPurchase = require('../models/CoPurchase');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { buildProductFilter } = require('./productSearch');
+
+// Products of one checkout paired with each other (n * (n - 1) pairs)
+const MAX_BASKET_PRODUCTS = 20;
+// Recent orders that make up a consumer's taste
+const HISTORY_ORDERS = 50;
+// "In season": what has been selling over the last month
+const SEASON_DAYS = 30;
+const FRESH_HARVEST_DAYS = 14;
+const DEFAULT_RADIUS_KM = 50;
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_CANDIDATES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weights of each signal in a recommendation score
+const WEIGHTS = {
+  boughtTogether: 3,
+  inSeason: 2,
+  category: 1,
+  buyAgain: 1,
+  freshHarvest: 0.5,
+  rating: 0.25
+};
+
+const FARMER_FIELDS = 'name farmDetails kycStatus';
+
+const uniqueIds = ids => [...new Set(ids.filter(Boolean).map(String))]
+  .map(id => new mongoose.Types.ObjectId(id));
+
+// Scale counts to 0..1 by the largest one
+const normalise = counts => {
+  const max = Math.max(0, ...counts.values());
+  return new Map([...counts].map(([id, count]) => [id, max > 0 ? count / max : 0]));
+};
+
+// Listings that can be recommended: in stock, not taken down, not from
+// suspended farmers and, given a location, within its radius
+const listingFilter = async location => {
+  const filter = await buildProductFilter({ status: 'available' });
+  if (location) {
+    filter.location = {
+      $geoWithin: {
+        $centerSphere: [
+          [location.longitude, location.latitude],
+          (location.radiusKm || DEFAULT_RADIUS_KM) / EARTH_RADIUS_KM
+        ]
+      }
+    };
+  }
+  return filter;
+};
+
+// Units sold per product over the last SEASON_DAYS
+const seasonalSales = async () => {
+  const sales = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, createdAt: { $gte: new Date(Date.now() - SEASON_DAYS * DAY_MS) } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' } } },
+    { $sort: { quantity: -1 } },
+    { $limit: MAX_CANDIDATES }
+  ]);
+  return new Map(sales.map(sale => [String(sale._id), sale.quantity]));
+};
+
+// Products of a checkout as they are counted: each once, in the order the
+// checkout's orders were created, at most MAX_BASKET_PRODUCTS
+const basketOf = productIds => uniqueIds(productIds).slice(0, MAX_BASKET_PRODUCTS);
+
+// Add `weight` to the count of every pair of products in the basket that
+// `counted` accepts. Failures are logged rather than thrown so that they
+// never break placing or cancelling an order.
+const updatePairs = async (basket, weight, counted = () => true) => {
+  try {
+    const operations = [];
+
+    for (const product of basket) {
+      for (const related of basket) {
+        if (product.equals(related) || !counted(product, related)) continue;
+        operations.push({
+          updateOne: weight > 0
+            ? {
+              filter: { product, related },
+              update: { $inc: { count: weight }, $set: { lastPurchasedAt: new Date() } },
+              upsert: true
+            }
+            : {
+              filter: { product, related, count: { $gte: -weight } },
+              update: { $inc: { count: weight } }
+            }
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await CoPurchase.bulkWrite(operations, { ordered: false });
+    }
+  } catch (err) {
+    console.error('Error recording co-purchases:', err.message);
+  }
+};
+
+// Count products bought in the same checkout as bought together
+exports.recordPurchase = productIds => updatePairs(basketOf(productIds), 1);
+
+// Take a cancelled order back out of the counts. The other orders of its
+// checkout (sharing `checkout`) stay bought together with each other, but
+// no longer with this order's products.
+exports.cancelPurchase = async order => {
+  let orders;
+  try {
+    orders = order.checkout
+      ? await Order.find({ checkout: order.checkout }).select('status items.product').sort({ _id: 1 })
+      : [order];
+  } catch (err) {
+    console.error('Error recording co-purchases:', err.message);
+    return;
+  }
+
+  const productsOf = list => list.flatMap(sibling => sibling.items.map(item => String(item.product)));
+  const own = new Set(productsOf([order]));
+  // Products of orders cancelled earlier were already taken out
+  const cancelled = new Set(productsOf(orders.filter(sibling => (
+    sibling.status === 'cancelled' && !sibling._id.equals(order._id)
+  ))));
+
+  const basket = basketOf(productsOf(orders)).filter(id => !cancelled.has(String(id)));
+  await updatePairs(basket, -1, (product, related) => own.has(String(product)) || own.has(String(related)));
+};
+
+// Build the co-purchase counts from past orders (each order counts as one
+// checkout). Runs at startup; a no-op once any pairs exist.
+exports.backfillCoPurchases = async () => {
+  if (await CoPurchase.estimatedDocumentCount() > 0) return;
+
+  const orders = Order.find({ status: { $ne: 'cancelled' }, 'items.1': { $exists: true } })
+    .select('items.product')
+    .cursor();
+
+  for await (const order of orders) {
+    await exports.recordPurchase(order.items.map(item => item.product));
+  }
+};
+
+// Products often bought with `product`, topped up with the best sellers of
+// the same category. Each comes with a `reason`.
+exports.relatedProducts = async (product, { limit = 10 } = {}) => {
+  const filter = await listingFilter(null);
+
+  const pairs = await CoPurchase.find({ product: product._id, count: { $gt: 0 } })
+    .sort({ count: -1 })
+    .limit(limit * 3);
+  const pairCounts = new Map(pairs.map(pair => [String(pair.related), pair.count]));
+
+  const together = (await Product.find({ ...filter, _id: { $in: pairs.map(pair => pair.related) } })
+    .populate('farmer', FARMER_FIELDS))
+    .sort((a, b) => pairCounts.get(String(b._id)) - pairCounts.get(String(a._id)))
+    .slice(0, limit);
+
+  const similar = together.length < limit
+    ? await Product.find({
+      ...filter,
+      _id: { $nin: [product._id, ...together.map(related => related._id)] },
+      category: product.category
+    })
+      .populate('farmer', FARMER_FIELDS)
+      .sort({ totalSales: -1, averageRating: -1 })
+      .limit(limit - together.length)
+    : [];
+
+  return [
+    ...together.map(related => ({
+      ...related.toJSON(),
+      reason: 'bought_together',
+      boughtTogether: pairCounts.get(String(related._id))
+    })),
+    ...similar.map(related => ({ ...related.toJSON(), reason: 'similar' }))
+  ];
+};
+
+// Suggestions for a consumer from what they bought before (products bought
+// with those, their usual categories, buying again), what is in season and
+// freshly harvested, and, given a location, what is nearby. Each product
+// lists the reasons it was picked.
+exports.recommendFor = async (userId, { location = null, limit = 20 } = {}) => {
+  const orders = await Order.find({ consumer: userId, status: { $ne: 'cancelled' } })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_ORDERS)
+    .select('items.product');
+  const purchased = uniqueIds(orders.flatMap(order => order.items.map(item => item.product)));
+
+  const [pairs, categoryCounts, seasonal, filter] = await Promise.all([
+    CoPurchase.aggregate([
+      { $match: { product: { $in: purchased }, count: { $gt: 0 } } },
+      { $group: { _id: '$related', count: { $sum: '$count' } } },
+      { $sort: { count: -1 } },
+      { $limit: MAX_CANDIDATES }
+    ]),
+    Product.aggregate([
+      { $match: { _id: { $in: purchased } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    seasonalSales(),
+    listingFilter(location)
+  ]);
+
+  const boughtTogether = normalise(new Map(pairs.map(pair => [String(pair._id), pair.count])));
+  const inSeason = normalise(seasonal);
+  const categories = normalise(new Map(categoryCounts.map(category => [category._id, category.count])));
+  const purchasedIds = new Set(purchased.map(String));
+
+  // Candidates: everything any signal points at, plus the best sellers of
+  // the consumer's categories (or overall, for a first-time buyer)
+  const candidateIds = uniqueIds([...boughtTogether.keys(), ...inSeason.keys(), ...purchasedIds]);
+  const [signalled, popular] = await Promise.all([
+    Product.find({ ...filter, _id: { $in: candidateIds } }).populate('farmer', FARMER_FIELDS),
+    Product.find({
+      ...filter,
+      ...(categories.size > 0 && { category: { $in: [...categories.keys()] } })
+    })
+      .populate('farmer', FARMER_FIELDS)
+      .sort({ totalSales: -1, averageRating: -1 })
+      .limit(MAX_CANDIDATES)
+  ]);
+
+  const freshSince = new Date(Date.now() - FRESH_HARVEST_DAYS * DAY_MS);
+  const candidates = new Map([...signalled, ...popular].map(product => [String(product._id), product]));
+
+  const scored = [...candidates.values()].map(product => {
+    const id = String(product._id);
+    const reasons = [];
+    let score = 0;
+
+    if (boughtTogether.has(id)) {
+      score += WEIGHTS.boughtTogether * boughtTogether.get(id);
+      reasons.push('bought_together');
+    }
+    if (inSeason.has(id)) {
+      score += WEIGHTS.inSeason * inSeason.get(id);
+      reasons.push('in_season');
+    }
+    if (categories.has(product.category)) {
+      score += WEIGHTS.category * categories.get(product.category);
+      reasons.push('category');
+    }
+    if (purchasedIds.has(id)) {
+      score += WEIGHTS.buyAgain;
+      reasons.push('buy_again');
+    }
+    if (product.harvestDate && product.harvestDate >= freshSince) {
+      score += WEIGHTS.freshHarvest;
+      reasons.push('fresh_harvest');
+    }
+    if (location) {
+      reasons.push('nearby');
+    }
+    score += WEIGHTS.rating * ((product.averageRating || 0) / 5);
+
+    return { product, score, reasons };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || b.product.totalSales - a.product.totalSales)
+    .slice(0, limit)
+    .map(({ product, score, reasons }) => ({
+      ...product.toJSON(),
+      score: Math.round(score * 100) / 100,
+      reasons
+    }));
+};
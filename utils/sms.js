@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a message { to, text } and return a promise.
+// Register a real gateway (Twilio, MSG91, ...) with registerTransport and
+// select it with SMS_TRANSPORT.
+const transports = {
+  console: async message => {
+    console.log(`[sms] To: ${message.to}\n${message.text}`);
+  },
+
+  file: async message => {
+    const dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'sms');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '')}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+exports.registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Messages are only printed by default outside production; a production
+// server without a real transport must not silently drop them
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+exports.sendSms = async ({ to, text }) => {
+  const name = process.env.SMS_TRANSPORT || defaultTransport();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  await transport({ to, text });
+};
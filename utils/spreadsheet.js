@@ -0,0 +1,84 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Supported spreadsheet formats and their content types
+const FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Plain text of a cell, whatever type the spreadsheet stored it as
+const cellText = value => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+exports.FORMATS = FORMATS;
+
+// Format of an uploaded file from its extension, or null if unsupported
+exports.formatOf = filename => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return FORMATS[extension] ? extension : null;
+};
+
+// Read the first sheet into { rowNumber, data } objects keyed by the header
+// row. Empty cells are left out so they read as "not given".
+exports.readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'csv') {
+    // Keep CSV values as written (no number/date guessing, e.g. SKU "007")
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: datum => datum });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  const headers = [];
+  const rows = [];
+  if (!worksheet) return rows;
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      row.values.forEach((value, index) => {
+        headers[index] = cellText(value);
+      });
+      return;
+    }
+
+    const data = {};
+    headers.forEach((header, index) => {
+      const text = header && cellText(row.values[index]);
+      if (text) data[header] = text;
+    });
+
+    if (Object.keys(data).length > 0) {
+      rows.push({ rowNumber, data });
+    }
+  });
+
+  return rows;
+};
+
+// Write rows (objects keyed by column) to a single-sheet CSV or XLSX buffer
+exports.writeRows = async (columns, rows, format, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(key => ({ header: key, key }));
+  rows.forEach(row => worksheet.addRow(row));
+
+  const buffer = format === 'csv'
+    ? await workbook.csv.writeBuffer()
+    : await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+};
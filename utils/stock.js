@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES, 10) || 15;
+
+// Unreserved stock; older products may not have reservedQuantity yet
+const AVAILABLE = { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] };
+
+// Unreserved stock of a single variant
+const variantAvailable = variantId => ({
+  $let: {
+    vars: {
+      variant: {
+        $arrayElemAt: [{
+          $filter: {
+            input: '$variants',
+            cond: { $eq: ['$$this._id', new mongoose.Types.ObjectId(variantId)] }
+          }
+        }, 0]
+      }
+    },
+    in: { $subtract: ['$$variant.quantity', { $ifNull: ['$$variant.reservedQuantity', 0] }] }
+  }
+});
+
+const holdExpiry = () => new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+// Reservations are per user, product and (optional) variant
+const holdKey = (userId, { product, variant }) => ({
+  user: userId,
+  product,
+  variant: variant || null
+});
+
+// Build an atomic stock update. Product-level counters always move, and the
+// variant's own counters move with them so the product stays the sum of its
+// variants. `requireAvailable` guards against overselling unreserved stock.
+const stockUpdate = ({ product, variant }, inc, requireAvailable) => {
+  const filter = { _id: product };
+  const update = { $inc: {} };
+  const options = {};
+
+  if (requireAvailable) {
+    filter.$expr = { $gte: [variant ? variantAvailable(variant) : AVAILABLE, requireAvailable] };
+  }
+
+  for (const [field, amount] of Object.entries(inc)) {
+    update.$inc[field] = amount;
+    if (variant && field !== 'totalSales') {
+      update.$inc[`variants.$[v].${field}`] = amount;
+    }
+  }
+  // Makes saves of a copy loaded before this update fail (see models/Product.js)
+  update.$inc.stockVersion = 1;
+
+  if (variant) {
+    filter['variants._id'] = variant;
+    options.arrayFilters = [{ 'v._id': new mongoose.Types.ObjectId(variant) }];
+  }
+
+  return { filter, update, options };
+};
+
+// Atomically move units between available and reserved stock.
+// A positive delta only succeeds if that much stock is still unreserved.
+const adjustReserved = async (item, delta, session) => {
+  if (delta === 0) return true;
+
+  const { filter, update, options } = stockUpdate(item, { reservedQuantity: delta }, delta > 0 && delta);
+  if (delta < 0) {
+    filter.reservedQuantity = { $gte: -delta };
+  }
+
+  const result = await Product.updateOne(filter, update, { ...options, session });
+  return result.modifiedCount === 1;
+};
+
+// Mark the product sold out once its stock is gone. findOneAndUpdate
+// bypasses the pre-save hook that normally maintains status.
+const syncSoldOut = async (product, session) => {
+  if (product.quantity <= 0 && product.status !== 'sold_out') {
+    product.status = 'sold_out';
+    await Product.updateOne({ _id: product._id }, { $set: { status: 'sold_out' } }, { session });
+  }
+  return product;
+};
+
+// Hold `quantity` units of a product (variant) for a user, replacing any
+// earlier hold. Returns the reservation, or null when there is not enough stock.
+exports.reserve = async (userId, { product, variant, quantity }) => {
+  const key = holdKey(userId, { product, variant });
+  let reservation = await Reservation.findOne(key);
+
+  // An expired hold no longer counts; give its units back first
+  if (reservation && reservation.expiresAt <= new Date()) {
+    await exports.release(userId, { product, variant });
+    reservation = null;
+  }
+
+  const held = reservation ? reservation.quantity : 0;
+  if (!(await adjustReserved({ product, variant }, quantity - held))) {
+    return null;
+  }
+
+  return Reservation.findOneAndUpdate(
+    key,
+    { $set: { quantity, expiresAt: holdExpiry() } },
+    { upsert: true, new: true }
+  );
+};
+
+// Drop a user's hold and return the units to available stock
+exports.release = async (userId, { product, variant }) => {
+  const reservation = await Reservation.findOneAndDelete(holdKey(userId, { product, variant }));
+  if (reservation) {
+    await adjustReserved({ product, variant }, -reservation.quantity);
+  }
+  return reservation;
+};
+
+// Give back every buyer's hold on a product, e.g. when it is archived or taken down
+exports.releaseProduct = async productId => {
+  const reservations = await Reservation.find({ product: productId });
+  for (const reservation of reservations) {
+    await exports.release(reservation.user, reservation);
+  }
+  return reservations.length;
+};
+
+// Turn a held quantity into a sale: stock and reserved stock both go down.
+// Must be given an active hold (see reserve) for the same quantity.
+exports.commitReservation = async (userId, { product, variant, quantity }, session) => {
+  const reservation = await Reservation.findOneAndDelete(
+    { ...holdKey(userId, { product, variant }), quantity, expiresAt: { $gt: new Date() } },
+    { session }
+  );
+  if (!reservation) return null;
+
+  const { filter, update, options } = stockUpdate(
+    { product, variant },
+    { quantity: -quantity, reservedQuantity: -quantity, totalSales: quantity }
+  );
+  filter.quantity = { $gte: quantity };
+  filter.reservedQuantity = { $gte: quantity };
+
+  const sold = await Product.findOneAndUpdate(filter, update, { ...options, new: true, session });
+  if (!sold) return null;
+
+  return syncSoldOut(sold, session);
+};
+
+// Sell unreserved stock directly (orders placed without a cart)
+exports.sellUnreserved = async ({ product, variant, quantity }, session) => {
+  const { filter, update, options } = stockUpdate(
+    { product, variant },
+    { quantity: -quantity, totalSales: quantity },
+    quantity
+  );
+
+  const sold = await Product.findOneAndUpdate(filter, update, { ...options, new: true, session });
+  if (!sold) return null;
+
+  return syncSoldOut(sold, session);
+};
+
+// Return every expired hold to available stock. Run periodically.
+exports.releaseExpiredReservations = async () => {
+  const expired = await Reservation.find({ expiresAt: { $lte: new Date() } }).select('_id');
+
+  let released = 0;
+  for (const reservation of expired) {
+    // Re-check expiry in case the hold was refreshed in the meantime
+    const removed = await Reservation.findOneAndDelete({
+      _id: reservation._id,
+      expiresAt: { $lte: new Date() }
+    });
+    if (removed) {
+      await adjustReserved({ product: removed.product, variant: removed.variant }, -removed.quantity);
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+// Current holds for a user, keyed by "productId:variantId"
+exports.getUserReservations = async userId => {
+  const reservations = await Reservation.find({ user: userId, expiresAt: { $gt: new Date() } });
+  return new Map(reservations.map(reservation => [
+    exports.holdId(reservation.product, reservation.variant),
+    reservation
+  ]));
+};
+
+exports.holdId = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+exports.HOLD_MINUTES = HOLD_MINUTES;
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const sharp = require('sharp');
+const VerificationRequest = require('../models/VerificationRequest');
+const Certification = require('../models/Certification');
+
+// Drivers store uploaded files and return { id, url }. A driver implements
+//   put(buffer, { key, contentType, extension, private }) -> Promise<{ id, url }>
+//   remove(id, { private })                              -> Promise
+//   privateUrl(id)                                       -> signed URL (optional)
+// Private files (identity and certificate documents) must not be reachable
+// by URL alone: their url points at routes/files.js, which checks access and
+// then redirects to the driver's privateUrl or, without one, serves the file
+// from PRIVATE_UPLOAD_DIR.
+// Select one with STORAGE_DRIVER or register another (S3, ...) with
+// registerDriver. Each stored file records the driver that holds it, so it
+// can still be removed after switching drivers.
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+const UPLOAD_URL = '/uploads';
+// Private documents of the local driver live outside the public directory
+// and are served by routes/files.js to their owner and admins
+const PRIVATE_UPLOAD_DIR = path.resolve(
+  process.env.PRIVATE_UPLOAD_DIR || path.join(process.cwd(), 'private-uploads')
+);
+const PRIVATE_URL = '/api/files';
+
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MIN_IMAGE_SIDE = 200;
+const MAX_IMAGE_SIDE = 1600;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const THUMBNAIL_SIZE = 320;
+
+// Private Cloudinary files are authenticated images (Cloudinary stores PDFs
+// as images too), delivered only through signed URLs
+const CLOUDINARY_PRIVATE = { type: 'authenticated', resource_type: 'image' };
+
+const drivers = {
+  cloudinary: {
+    put: (buffer, { key, contentType, private: isPrivate }) => new Promise((resolve, reject) => {
+      cloudinary.uploader.upload(`data:${contentType};base64,${buffer.toString('base64')}`,
+        { public_id: key, ...(isPrivate ? CLOUDINARY_PRIVATE : { resource_type: 'auto' }) },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({
+            id: result.public_id,
+            url: isPrivate ? `${PRIVATE_URL}/${result.public_id}` : result.secure_url
+          });
+        }
+      );
+    }),
+    remove: (id, { private: isPrivate } = {}) =>
+      cloudinary.uploader.destroy(id, isPrivate ? CLOUDINARY_PRIVATE : {}),
+    privateUrl: id => cloudinary.url(id, { ...CLOUDINARY_PRIVATE, sign_url: true, secure: true })
+  },
+
+  local: {
+    put: async (buffer, { key, extension, private: isPrivate }) => {
+      const id = `${key}.${extension}`;
+      const file = path.join(isPrivate ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, id);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return { id, url: `${isPrivate ? PRIVATE_URL : UPLOAD_URL}/${id}` };
+    },
+    remove: async id => {
+      for (const dir of [UPLOAD_DIR, PRIVATE_UPLOAD_DIR]) {
+        const file = path.resolve(dir, id);
+        if (file.startsWith(dir + path.sep)) {
+          await fs.promises.rm(file, { force: true });
+        }
+      }
+    }
+  }
+};
+
+const driverName = () => process.env.STORAGE_DRIVER || 'cloudinary';
+
+const getDriver = name => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+const isPrivateUrl = url => (url || '').startsWith(`${PRIVATE_URL}/`);
+
+// Unguessable name for a new file within a folder
+const newKey = folder => `${folder}/${crypto.randomBytes(16).toString('hex')}`;
+
+// Errors the client can fix carry status 400
+const invalidFile = message => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+exports.UPLOAD_DIR = UPLOAD_DIR;
+exports.UPLOAD_URL = UPLOAD_URL;
+exports.PRIVATE_URL = PRIVATE_URL;
+
+exports.registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+// Validate an uploaded image (JPEG, PNG or WebP, at least 200 px on each
+// side), store it scaled to at most 1600 px along with a square thumbnail,
+// and return the record to save:
+// { url, public_id, thumbnailUrl, thumbnailId, width, height, storage }
+exports.saveImage = async (file, { folder }) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw invalidFile(`${file.originalname} is not a valid image`);
+  }
+
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format || !file.mimetype.startsWith('image/')) {
+    throw invalidFile(`${file.originalname} must be a JPEG, PNG or WebP image`);
+  }
+  if (Math.min(metadata.width, metadata.height) < MIN_IMAGE_SIDE) {
+    throw invalidFile(`${file.originalname} must be at least ${MIN_IMAGE_SIDE}x${MIN_IMAGE_SIDE} pixels`);
+  }
+
+  // Re-encoding applies EXIF orientation and drops the rest of the metadata
+  // (including any GPS position)
+  const image = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const main = await image.clone()
+    .resize(MAX_IMAGE_SIDE, MAX_IMAGE_SIDE, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await image.clone()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const storage = driverName();
+  const driver = getDriver(storage);
+  const key = newKey(folder);
+
+  const stored = await driver.put(main.data, { key, ...format });
+  let storedThumbnail;
+  try {
+    storedThumbnail = await driver.put(thumbnail, { key: `${key}-thumb`, ...IMAGE_FORMATS.webp });
+  } catch (err) {
+    await driver.remove(stored.id).catch(() => {});
+    throw err;
+  }
+
+  return {
+    url: stored.url,
+    public_id: stored.id,
+    thumbnailUrl: storedThumbnail.url,
+    thumbnailId: storedThumbnail.id,
+    width: main.info.width,
+    height: main.info.height,
+    storage
+  };
+};
+
+// Store a private document (PDF or image) as uploaded:
+// { url, public_id, storage }
+exports.saveDocument = async (file, { folder }) => {
+  const extension = DOCUMENT_EXTENSIONS[file.mimetype];
+  if (!extension) {
+    throw invalidFile(`${file.originalname} must be a PDF or an image`);
+  }
+
+  const storage = driverName();
+  const stored = await getDriver(storage).put(file.buffer, {
+    key: newKey(folder),
+    contentType: file.mimetype,
+    extension,
+    private: true
+  });
+
+  return { url: stored.url, public_id: stored.id, storage };
+};
+
+// Remove a stored file record (and its thumbnail). Records saved before
+// drivers existed were all on Cloudinary.
+exports.removeFile = async record => {
+  if (!record || !record.public_id) return;
+
+  const driver = getDriver(record.storage || 'cloudinary');
+  await driver.remove(record.public_id, { private: isPrivateUrl(record.url) });
+  if (record.thumbnailId) {
+    await driver.remove(record.thumbnailId);
+  }
+};
+
+// Signed URL of a private document, or null when its driver has none and
+// the file is served from privateFilePath
+exports.privateFileUrl = record => {
+  const driver = getDriver(record.storage || 'cloudinary');
+  return driver.privateUrl ? driver.privateUrl(record.public_id) : null;
+};
+
+// Path of a private document held by the local driver, or null for ids
+// outside the private directory
+exports.privateFilePath = id => {
+  const file = path.resolve(PRIVATE_UPLOAD_DIR, id);
+  return file.startsWith(PRIVATE_UPLOAD_DIR + path.sep) ? file : null;
+};
+
+// Make documents stored before documents were kept private (public files
+// of the local driver, public uploads on Cloudinary) private and point
+// their records at the private route. Runs at startup; a no-op once moved.
+exports.makeDocumentsPrivate = async () => {
+  const privateUrl = new RegExp(`^${PRIVATE_URL}/`);
+
+  const moveLocal = async id => {
+    const from = path.resolve(UPLOAD_DIR, id);
+    const to = exports.privateFilePath(id);
+    if (!from.startsWith(UPLOAD_DIR + path.sep) || !to) return false;
+
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.rename(from, to).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+    return true;
+  };
+
+  const moveCloudinary = async id => {
+    await cloudinary.uploader.rename(id, id, {
+      resource_type: 'image',
+      type: 'upload',
+      to_type: 'authenticated'
+    });
+    return true;
+  };
+
+  const moveDocument = async document => {
+    if (!document.public_id || isPrivateUrl(document.url)) return false;
+
+    const storage = document.storage || 'cloudinary';
+    try {
+      const moved = storage === 'local'
+        ? await moveLocal(document.public_id)
+        : storage === 'cloudinary' && await moveCloudinary(document.public_id);
+      if (!moved) return false;
+    } catch (err) {
+      console.error(`Error making document ${document.public_id} private:`, err.message);
+      return false;
+    }
+    document.url = `${PRIVATE_URL}/${document.public_id}`;
+    return true;
+  };
+
+  const requests = await VerificationRequest.find({
+    documents: { $elemMatch: { public_id: { $ne: null }, url: { $not: privateUrl } } }
+  });
+  for (const request of requests) {
+    let moved = false;
+    for (const document of request.documents) {
+      moved = (await moveDocument(document)) || moved;
+    }
+    if (moved) await request.save({ timestamps: false });
+  }
+
+  const certifications = await Certification.find({
+    'document.public_id': { $ne: null },
+    'document.url': { $not: privateUrl }
+  });
+  for (const certification of certifications) {
+    if (await moveDocument(certification.document)) {
+      await certification.save({ timestamps: false });
+    }
+  }
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+const PASSWORD_RESET_EXPIRES_IN = '1h';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session so it can be revoked
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Open a new session for the user and return the token pair
+exports.issueTokens = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair, rotating the refresh token.
+// Returns null when the token is unknown, expired or revoked.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = Date.now();
+  session.expiresAt = refreshExpiry();
+  session.userAgent = req.get('user-agent') || session.userAgent;
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one
+exports.revokeUserSessions = (userId, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(query, { $set: { revokedAt: Date.now() } });
+};
+
+// Signed token proving ownership of the email address it was sent to
+exports.signEmailVerificationToken = user => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRES_IN }
+  );
+};
+
+// Returns the user the verification token was issued for, or null
+exports.verifyEmailVerificationToken = async token => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'verify-email') return null;
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) return null;
+
+    return user;
+  } catch (err) {
+    return null;
+  }
+};
+
+// The current password hash is part of the signing key, so a reset token
+// stops working as soon as the password changes (i.e. it is single use).
+exports.signPasswordResetToken = user => {
+  return jwt.sign(
+    { id: user._id, purpose: 'password-reset' },
+    process.env.JWT_SECRET + user.password,
+    { expiresIn: PASSWORD_RESET_EXPIRES_IN }
+  );
+};
+
+// Returns the user the reset token was issued for, or null
+exports.verifyPasswordResetToken = async token => {
+  try {
+    const payload = jwt.decode(token);
+    if (!payload || payload.purpose !== 'password-reset') return null;
+
+    const user = await User.findById(payload.id);
+    if (!user) return null;
+
+    jwt.verify(token, process.env.JWT_SECRET + user.password);
+    return user;
+  } catch (err) {
+    return null;
+  }
+};